@@ -0,0 +1,23 @@
+// @ts-check
+'use strict'
+
+const customTypes = new Map() // { name: { base, parse, serialize, validate, sample } }
+
+function setCustomType(name, converter) {
+  customTypes.set(name, converter)
+}
+
+function deleteCustomType(name) {
+  customTypes.delete(name)
+}
+
+// Returns the converter registered for xmlType or undefined
+function customType(xmlType) {
+  return typeof xmlType === 'string' ? customTypes.get(xmlType) : undefined
+}
+
+module.exports = {
+  setCustomType,
+  deleteCustomType,
+  customType
+}
@@ -0,0 +1,201 @@
+// @ts-check
+'use strict'
+
+const timezonePattern = '(Z|[+-](?:(?:0\\d|1[0-3]):[0-5]\\d|14:00))?'
+const lexicalPatterns = {
+  dateTime: new RegExp(
+    `^(-?\\d{4,})-(\\d\\d)-(\\d\\d)T(\\d\\d):(\\d\\d):(\\d\\d(?:\\.\\d+)?)${timezonePattern}$`
+  ),
+  date: new RegExp(`^(-?\\d{4,})-(\\d\\d)-(\\d\\d)${timezonePattern}$`),
+  time: new RegExp(
+    `^(\\d\\d):(\\d\\d):(\\d\\d(?:\\.\\d+)?)${timezonePattern}$`
+  ),
+  gYear: new RegExp(`^-?\\d{4,}${timezonePattern}$`),
+  gYearMonth: new RegExp(`^-?\\d{4,}-(0[1-9]|1[0-2])${timezonePattern}$`),
+  gMonth: new RegExp(`^--(0[1-9]|1[0-2])${timezonePattern}$`),
+  gDay: new RegExp(`^---(0[1-9]|[12]\\d|3[01])${timezonePattern}$`),
+  gMonthDay: new RegExp(
+    `^--(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])${timezonePattern}$`
+  ),
+  duration: /^(-)?P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?!$)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+}
+const durationFields = [
+  'years',
+  'months',
+  'days',
+  'hours',
+  'minutes',
+  'seconds'
+]
+
+const dateTimeTypes = Object.keys(lexicalPatterns)
+
+// Converts the XML text of dateTime and date to a Date that remembers the
+// timezone of the text, fx. '+02:00', 'Z' or null when it had none, and
+// duration to an object. Other types and invalid values are kept as text
+function parseXsdDateTime(xsdType, text) {
+  let value = text.trim()
+  let match = lexicalPatterns[xsdType] && value.match(lexicalPatterns[xsdType])
+  if (!match) {
+    return text
+  } else if (xsdType === 'duration') {
+    let duration = match[1] ? { negative: true } : {}
+    durationFields.forEach(function(field, index) {
+      if (match[index + 2] !== undefined) {
+        duration[field] = parseFloat(match[index + 2])
+      }
+    })
+    return duration
+  } else if (xsdType !== 'dateTime' && xsdType !== 'date') {
+    return value
+  }
+
+  let [, year, month, day] = match
+  let [hours, minutes, seconds] =
+    xsdType === 'dateTime' ? match.slice(4, 7).map(Number) : [0, 0, 0]
+  let timezone = (xsdType === 'date' ? match[4] : match[7]) || null
+  let date = new Date(0)
+  date.setUTCFullYear(+year, +month - 1, +day)
+  if (
+    date.getUTCMonth() !== +month - 1 ||
+    !_isValidTime(hours, minutes, seconds)
+  ) {
+    return text
+  }
+  date.setUTCHours(hours, minutes, Math.floor(seconds))
+  date.setUTCMilliseconds(Math.round((seconds % 1) * 1000))
+  date.setTime(date.getTime() - _timezoneOffset(timezone) * 60000)
+  Object.defineProperty(date, 'timezone', {
+    value: timezone,
+    writable: true,
+    configurable: true
+  })
+  return date
+}
+
+// Formats Dates and duration objects as XML text, Dates are written with the
+// timezone they were read with or else the timezone given, 'Z', '+hh:mm' or
+// 'local' for the offset of this machine
+function formatXsdDateTime(xsdType, value, timezone = 'Z') {
+  if (xsdType === 'duration' && isDuration(value)) {
+    return _formatDuration(value)
+  } else if (!(value instanceof Date)) {
+    return value
+  }
+
+  let offset = value.hasOwnProperty('timezone') ? value.timezone : timezone
+  if (offset === 'local') {
+    offset = _formatTimezone(-value.getTimezoneOffset())
+  }
+  let shifted = new Date(value.getTime() + _timezoneOffset(offset) * 60000)
+  let year = shifted.getUTCFullYear()
+  let date = [
+    (year < 0 ? '-' : '') + _pad(Math.abs(year), 4),
+    _pad(shifted.getUTCMonth() + 1, 2),
+    _pad(shifted.getUTCDate(), 2)
+  ].join('-')
+  let time = [
+    _pad(shifted.getUTCHours(), 2),
+    _pad(shifted.getUTCMinutes(), 2),
+    _pad(shifted.getUTCSeconds(), 2)
+  ].join(':')
+  let milliseconds = shifted.getUTCMilliseconds()
+  if (milliseconds > 0) {
+    time += '.' + _pad(milliseconds, 3).replace(/0+$/, '')
+  }
+
+  if (xsdType === 'date') {
+    // Dates only get a timezone when they were read with one
+    return date + (value.hasOwnProperty('timezone') && offset ? offset : '')
+  } else if (xsdType === 'time') {
+    return time + (offset || '')
+  }
+  return `${date}T${time}${offset || ''}`
+}
+
+// Checks the XML text of the date and time types or the values that
+// parseXsdDateTime returns for them
+function isValidXsdDateTime(value, xsdType) {
+  if (value instanceof Date) {
+    return (
+      ['dateTime', 'date', 'time'].includes(xsdType) && !isNaN(value.getTime())
+    )
+  } else if (xsdType === 'duration' && isDuration(value)) {
+    return true
+  } else if (typeof value !== 'string') {
+    return false
+  }
+  let text = value.trim()
+  if (['dateTime', 'date'].includes(xsdType)) {
+    return parseXsdDateTime(xsdType, text) instanceof Date
+  } else if (xsdType === 'time') {
+    let match = text.match(lexicalPatterns.time)
+    return !!match && _isValidTime(+match[1], +match[2], +match[3])
+  }
+  return lexicalPatterns[xsdType].test(text)
+}
+
+function isDuration(value) {
+  return (
+    !!value &&
+    Object.getPrototypeOf(value) === Object.prototype &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(
+      key =>
+        (key === 'negative' && typeof value[key] === 'boolean') ||
+        (durationFields.includes(key) &&
+          typeof value[key] === 'number' &&
+          value[key] >= 0)
+    )
+  )
+}
+
+function _formatDuration(duration) {
+  let [years, months, days, hours, minutes, seconds] = durationFields.map(
+    (field, index) => (duration[field] ? duration[field] + 'YMDHMS'[index] : '')
+  )
+  let time = hours + minutes + seconds
+  let date = years + months + days
+  if (!time && !date) {
+    time = '0S'
+  }
+  return `${duration.negative ? '-' : ''}P${date}${time ? 'T' + time : ''}`
+}
+
+// 24:00:00 is allowed as the end of the day
+function _isValidTime(hours, minutes, seconds) {
+  return hours < 24
+    ? minutes < 60 && seconds < 60
+    : hours === 24 && minutes === 0 && seconds === 0
+}
+
+// Returns the offset in minutes of '+hh:mm', 'Z' or null
+function _timezoneOffset(timezone) {
+  let match = timezone && timezone.match(/^([+-])(\d\d):(\d\d)$/)
+  return match ? (match[1] === '-' ? -1 : 1) * (+match[2] * 60 + +match[3]) : 0
+}
+
+function _formatTimezone(offset) {
+  if (offset === 0) {
+    return 'Z'
+  }
+  let minutes = Math.abs(offset)
+  return (
+    (offset < 0 ? '-' : '+') +
+    _pad(Math.floor(minutes / 60), 2) +
+    ':' +
+    _pad(minutes % 60, 2)
+  )
+}
+
+function _pad(number, length) {
+  return `${number}`.padStart(length, '0')
+}
+
+module.exports = {
+  dateTimeTypes,
+  parseXsdDateTime,
+  formatXsdDateTime,
+  isValidXsdDateTime,
+  isDuration
+}
@@ -0,0 +1,69 @@
+// @ts-check
+'use strict'
+
+const noTypes = Object.freeze({})
+const resolvedDefinitions = new WeakMap() // { types: WeakMap({ definition: resolved }) }
+
+// Returns the definition with the named types that name$ref entries point to
+// copied in as name, name$order, name$attributes, etc. Only one level is
+// resolved so recursive types are resolved as the elements are used
+function resolveDefinition(definition, types = noTypes) {
+  if (!definition || typeof definition !== 'object') {
+    return definition
+  }
+  types = types || noTypes
+  let cache = resolvedDefinitions.get(types)
+  if (!cache) {
+    cache = new WeakMap()
+    resolvedDefinitions.set(types, cache)
+  }
+  if (cache.has(definition)) {
+    return cache.get(definition)
+  }
+
+  let resolved = definition
+  for (let key of Object.keys(definition)) {
+    let name = key.replace(/\$ref$/, '')
+    if (name === key || name === '') {
+      continue
+    }
+    let typeName = definition[key]
+    let type = types.hasOwnProperty(typeName) ? types[typeName] : undefined
+    if (!type || typeof type !== 'object') {
+      throw new Error(`Could not find type '${typeName}' referenced by ${name}`)
+    }
+
+    if (resolved === definition) {
+      resolved = { ...definition }
+    }
+    // Keys set on the element itself win over the ones from the type,
+    // attributes are merged so elements can add fx. xmlns declarations
+    for (let typeKey of Object.keys(type)) {
+      if (!typeKey.startsWith('$')) {
+        continue
+      } else if (!resolved.hasOwnProperty(name + typeKey)) {
+        resolved[name + typeKey] = type[typeKey]
+      } else if (typeKey === '$attributes') {
+        resolved[name + typeKey] = {
+          ...type[typeKey],
+          ...resolved[name + typeKey]
+        }
+      }
+    }
+    let xmlType = definition[name + '$type']
+    if (Array.isArray(xmlType) && !xmlType[0] && type.$type) {
+      resolved[name + '$type'] = [type.$type, ...xmlType.slice(1)]
+    }
+    // Types with a $type are simple content with attributes
+    if (!resolved.hasOwnProperty(name) && !type.$type) {
+      resolved[name] = type
+    }
+  }
+
+  cache.set(definition, resolved)
+  return resolved
+}
+
+module.exports = {
+  resolveDefinition
+}
@@ -0,0 +1,61 @@
+// @ts-check
+'use strict'
+
+const { resolveDefinition } = require('./definitions')
+
+function namespacePrefix(name) {
+  let index = name.indexOf(':')
+  return index > 0 ? name.slice(0, index) : undefined
+}
+
+// Returns the namespace prefixes elements and attributes of key can use
+// according to the definition
+function definitionNamespacePrefixes(
+  key,
+  definition,
+  types = undefined,
+  prefixes = new Set(),
+  visited = new Set()
+) {
+  definition = resolveDefinition(definition || {}, types)
+  let namespace = definition[key + '$namespace'] || namespacePrefix(key)
+  if (namespace) {
+    prefixes.add(namespace)
+  }
+  for (let name of Object.keys(definition[key + '$attributes'] || {})) {
+    let prefix = namespacePrefix(name.split('$')[0])
+    if (prefix && prefix !== 'xmlns') {
+      prefixes.add(prefix)
+    }
+  }
+
+  let childDefinition = definition[key]
+  // Recursive types only need to be looked into once
+  if (
+    childDefinition &&
+    typeof childDefinition === 'object' &&
+    !visited.has(childDefinition)
+  ) {
+    visited.add(childDefinition)
+    let childKeys = new Set(
+      Object.keys(childDefinition).map(childKey => childKey.split('$')[0])
+    )
+    for (let childKey of childKeys) {
+      if (childKey !== '') {
+        definitionNamespacePrefixes(
+          childKey,
+          childDefinition,
+          types,
+          prefixes,
+          visited
+        )
+      }
+    }
+  }
+  return prefixes
+}
+
+module.exports = {
+  namespacePrefix,
+  definitionNamespacePrefixes
+}
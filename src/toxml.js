@@ -1,59 +1,223 @@
 // @ts-check
 'use strict'
 
+const { Readable } = require('stream')
 const ValidationError = require('./validationerror')
+const {
+  validateXmlType,
+  definitionFacets,
+  validateOccurrences,
+  validateOccurrenceCount,
+  validateChoices,
+  validateAttributes,
+  reportValidationError,
+  throwValidationErrors,
+  isSimpleType,
+  isDecimalType,
+  isListValue,
+  listItemType,
+  unionMemberTypes,
+  itemType,
+  isAsyncIterable,
+  getType
+} = require('./validation')
+const { namespacePrefix, definitionNamespacePrefixes } = require('./namespaces')
+const { resolveDefinition } = require('./definitions')
+const { dateTimeTypes, formatXsdDateTime, isDuration } = require('./datetime')
+const { customType } = require('./customtypes')
+
+const xmlHeader = `<?xml version="1.0" encoding="UTF-8" ?>\n`
 
 function toXml(obj, rootName, definition = {}, options = {}) {
   let value = obj[rootName]
-  return _toXml(rootName, value, definition, options)
+  let validationErrors = []
+  let result = _toXml(rootName, value, definition, {
+    ...options,
+    validationErrors,
+    namespaceUsages: new WeakMap(),
+    definitionTypes: definition ? definition.$types : undefined
+  })
+  throwValidationErrors(validationErrors)
+  return result
 }
 
-function _toXml(key, value, definition, options, level = 0) {
-  definition = definition ? definition : {}
+function toXmlStream(obj, rootName, definition = {}, options = {}) {
+  let value = obj[rootName]
+  let validationErrors = []
+  let chunks = _toXmlChunks(
+    _toXmlParts(rootName, value, definition, {
+      ...options,
+      validationErrors,
+      namespaceUsages: new WeakMap(),
+      definitionTypes: definition ? definition.$types : undefined
+    }),
+    options.xmlHeader ? xmlHeader : ''
+  )
+  let reading = false
+
+  return new Readable({
+    read() {
+      if (reading) return
+      reading = true
+      const next = () => {
+        chunks.next().then(
+          result => {
+            if (result.done) {
+              try {
+                throwValidationErrors(validationErrors)
+              } catch (error) {
+                return this.destroy(error)
+              }
+              this.push(null)
+            } else if (this.push(result.value)) {
+              next()
+            } else {
+              reading = false
+            }
+          },
+          error => this.destroy(error)
+        )
+      }
+      next()
+    }
+  })
+}
 
+function _toXml(key, value, definition, options, level = 0, path = key) {
   let xmlResult = ''
+  for (let part of _toXmlParts(key, value, definition, options, level, path)) {
+    if (typeof part !== 'string') {
+      throw new Error(
+        `Async iterable found at ${part.path}, use toXmlStream to serialize it`
+      )
+    }
+    xmlResult += part
+  }
+  return xmlResult
+}
+
+// Resolves the async iterables found by _toXmlParts and yields the XML chunks
+async function* _toXmlChunks(parts, header = '') {
+  if (header) {
+    yield header
+  }
+  for (let part of parts) {
+    if (typeof part === 'string') {
+      yield part
+      continue
+    }
+
+    let { key, value, definition, options, level, path, scope } = part
+    let count = 0
+    for await (let itemValue of value) {
+      for await (let chunk of _toXmlChunks(
+        _toXmlParts(
+          key,
+          itemValue,
+          definition,
+          options,
+          level,
+          `${path}[${count++}]`,
+          scope
+        )
+      )) {
+        // The ancestors are started by the first item
+        for (let start of part.starts || []) {
+          if (!start.state.started && chunk !== '') {
+            start.state.started = true
+            yield start.tag
+          }
+        }
+        yield chunk
+      }
+    }
+    if (options.validation) {
+      reportValidationError(
+        validateOccurrenceCount(count, definition[key + '$type'], path),
+        options
+      )
+    }
+  }
+}
+
+// Yields the XML for the element as strings, async iterables are yielded as is
+// so they can be consumed by _toXmlChunks
+function* _toXmlParts(
+  key,
+  value,
+  definition,
+  options,
+  level = 0,
+  path = key,
+  scope = {} // Namespace urls declared by the ancestors, '' is the default
+) {
+  definition = resolveDefinition(definition || {}, options.definitionTypes)
 
   // Look up xmlType and length for key
   let type = getType(value)
   let xmlType = null
   let length = [-1, -1]
-  if (type === 'object') {
+  if (type === 'object' && _isTextObject(value, definition[key + '$type'])) {
+    type = 'text'
+  } else if (isListValue(value, definition[key + '$type'])) {
+    type = 'list'
+  }
+  if (isAsyncIterable(value)) {
+    yield { key, value, definition, options, level, path, scope }
+    return
+  } else if (type === 'object') {
     xmlType = value[key + '$type'] || definition[key + '$type']
     length = value[key + '$length'] || definition[key + '$length']
   } else {
     xmlType = definition[key + '$type']
     length = definition[key + '$length']
   }
+  let facets = definitionFacets(definition, key)
 
   // Array is at same level as current
   if (type === 'array') {
-    if (options.validation) validateXmlType(value, xmlType, length)
-    for (let itemValue of value) {
-      xmlResult += _toXml(key, itemValue, definition, options, level)
-    }
-    return xmlResult
-  } else if (getType(xmlType) === 'array' && options.validation) {
-    throw new ValidationError(
-      `Expected ${key} to be of type array found ${type}`
+    for (let i = 0; i < value.length; i++) {
+      yield* _toXmlParts(
+        key,
+        value[i],
+        definition,
+        options,
+        level,
+        `${path}[${i}]`,
+        scope
+      )
+    }
+    return
+  }
+
+  if (options.validation) {
+    let elementDefinition = resolveDefinition(
+      definition[key],
+      options.definitionTypes
     )
+    for (let error of [
+      ...validateOccurrences(value, elementDefinition, path),
+      ...validateChoices(
+        value,
+        definition[key + '$choice'],
+        path,
+        elementDefinition
+      )
+    ]) {
+      reportValidationError(error, options)
+    }
   }
 
-  // Copy over defined attributes
-  let attributes = {}
+  // Copy over defined and fixed attributes
+  let attributeValues = {}
   let definitionAttributes = definition[key + '$attributes'] || {}
   for (let attributeName of Object.keys(definitionAttributes)) {
-    if (attributeName.indexOf('$') !== -1) continue // Skip type definitions
-    let attributeValue = definitionAttributes[attributeName]
-    let attributeType = definitionAttributes[attributeName + '$type']
-    if (options.validation) {
-      validateXmlType(attributeValue, xmlType, length)
+    if (attributeName.indexOf('$') === -1) {
+      attributeValues[attributeName] = definitionAttributes[attributeName]
+    } else if (attributeName.endsWith('$fixed')) {
+      attributeValues[attributeName.slice(0, -6)] =
+        definitionAttributes[attributeName]
     }
-    attributes[attributeName] = _formatXmlOutput(
-      attributeValue,
-      attributeType,
-      options,
-      level
-    )
   }
 
   // Get defined namespace
@@ -61,74 +225,347 @@ function _toXml(key, value, definition, options, level = 0) {
 
   // Build XML
   if (type === 'object') {
+    let cdata = value['cdata$'] || definition[key + '$cdata']
     let prefix = ''
     let postfix = ''
-    let subResult = ''
+    let mixed = false
+    let childKeys = []
     let order = value[key + '$order'] || definition[key + '$order']
     for (let objectKey of sortByList(Object.keys(value), order)) {
       if (objectKey === '$') {
         let objectValue = value[objectKey]
         if (options.validation) {
-          validateXmlType(objectValue, xmlType, length)
+          reportValidationError(
+            validateXmlType(objectValue, xmlType, length, path, false, facets),
+            options
+          )
         }
-        prefix += _formatXmlOutput(objectValue, xmlType, options, level)
+        prefix += _formatXmlOutput(objectValue, xmlType, options, level, cdata)
       } else if (objectKey === '$$') {
         let objectValue = value[objectKey]
         if (options.validation) {
-          validateXmlType(objectValue, xmlType, length)
+          reportValidationError(
+            validateXmlType(objectValue, xmlType, length, path, false, facets),
+            options
+          )
         }
-        postfix += _formatXmlOutput(objectValue, xmlType, options, level)
-      } else if (options.validation && xmlType) {
-        // TODO(Error): does not have $ or $$ set but has xmlType
+        postfix += _formatXmlOutput(objectValue, xmlType, options, level, cdata)
+      } else if (objectKey === 'content$') {
+        // Mixed content is written as is without indentation
+        mixed = true
+        prefix += _mixedContentToXml(value[objectKey], options)
       } else if (objectKey === 'namespace$') {
         namespace = value[objectKey]
       } else if (objectKey.indexOf('$') === 0) {
         // Support inline attributes
-        let attributeValue = value[objectKey]
-        let attributeType = definitionAttributes[objectKey.substr(1) + '$type']
-        if (options.validation) {
-          validateXmlType(attributeValue, xmlType, length)
-        }
-        attributes[objectKey.substr(1)] = _formatXmlOutput(
-          attributeValue,
-          attributeType,
-          options,
-          level
-        )
+        attributeValues[objectKey.substr(1)] = value[objectKey]
       } else if (objectKey.indexOf('$') > 0) {
         // Skip definition information such as order
       } else {
-        subResult += _toXml(
-          objectKey,
-          value[objectKey],
-          definition[key],
-          options,
-          level + 1
-        )
+        if (options.validation && isSimpleType(xmlType)) {
+          reportValidationError(
+            new ValidationError(
+              `Expected ${path} to be of type ${itemType(
+                xmlType
+              )} found element ${objectKey}`,
+              null,
+              { path, expected: { type: itemType(xmlType) }, value }
+            ),
+            options
+          )
+        }
+        childKeys.push(objectKey)
       }
     }
-    xmlResult += generateXml(
-      namespace ? `${namespace}:${key.replace(/^.+?:/, '')}` : key,
-      'xml',
-      attributes,
-      subResult === '' ? prefix + postfix : `\n${prefix}${subResult}${postfix}`,
+
+    let attributes = _formatXmlAttributes(
+      attributeValues,
+      definitionAttributes,
       options,
-      level
+      level,
+      path
+    )
+    let elementName = namespace
+      ? `${namespace}:${key.replace(/^.+?:/, '')}`
+      : key
+    let childScope = _declareNamespaces(
+      attributes,
+      definition[key + '$xmlns'],
+      [
+        _ownNamespaceUsage(elementName, attributes),
+        ..._childNamespaceUsages(childKeys, value, definition[key], options)
+      ],
+      scope,
+      options
     )
+
+    // Only write the start tag when the first child element is generated so
+    // elements without children can still be written as empty elements,
+    // async iterables get the start tag along and write it with their first
+    // item
+    let whitespace = ' '.repeat(options.indentation * level)
+    let start = {
+      state: { started: false },
+      tag: `${whitespace}<${elementName}${generateXmlAttributes(
+        attributes
+      )}>\n${prefix}`
+    }
+    for (let objectKey of childKeys) {
+      for (let part of _toXmlParts(
+        objectKey,
+        value[objectKey],
+        definition[key],
+        options,
+        level + 1,
+        `${path}.${objectKey}`,
+        childScope
+      )) {
+        if (typeof part !== 'string' && !start.state.started) {
+          yield { ...part, starts: [start, ...(part.starts || [])] }
+          continue
+        }
+        if (!start.state.started && part !== '') {
+          yield start.tag
+          start.state.started = true
+        }
+        yield part
+      }
+    }
+    if (start.state.started) {
+      yield `${postfix}${whitespace}</${elementName}>${
+        options.indentation * level ? '\n' : ''
+      }`
+    } else {
+      yield generateXml(
+        elementName,
+        mixed ? 'mixed' : 'xml',
+        attributes,
+        prefix + postfix,
+        options,
+        level
+      )
+    }
   } else {
     if (options.validation) {
-      validateXmlType(value, xmlType, length)
+      reportValidationError(
+        validateXmlType(value, xmlType, length, path, false, facets),
+        options
+      )
     }
-    xmlResult += generateXml(
-      namespace ? `${namespace}:${key.replace(/^.+?:/, '')}` : key,
+    let attributes = _formatXmlAttributes(
+      attributeValues,
+      definitionAttributes,
+      options,
+      level,
+      path
+    )
+    let elementName = namespace
+      ? `${namespace}:${key.replace(/^.+?:/, '')}`
+      : key
+    _declareNamespaces(
+      attributes,
+      definition[key + '$xmlns'],
+      [_ownNamespaceUsage(elementName, attributes)],
+      scope,
+      options
+    )
+    yield generateXml(
+      elementName,
       xmlType,
       attributes,
-      _formatXmlOutput(value, xmlType, options, level),
+      _formatXmlOutput(
+        value,
+        xmlType,
+        options,
+        level,
+        definition[key + '$cdata']
+      ),
       options,
       level
     )
   }
-  return xmlResult
+}
+
+// Validates the attribute values and formats them by their $type
+function _formatXmlAttributes(
+  attributeValues,
+  definitionAttributes,
+  options,
+  level,
+  path
+) {
+  if (options.validation) {
+    for (let error of validateAttributes(
+      attributeValues,
+      definitionAttributes,
+      path
+    )) {
+      reportValidationError(error, options)
+    }
+  }
+
+  let attributes = {}
+  for (let name of Object.keys(attributeValues)) {
+    attributes[name] = _formatXmlOutput(
+      attributeValues[name],
+      definitionAttributes[name + '$type'],
+      options,
+      level
+    )
+  }
+  return attributes
+}
+
+// Sets xmlns from the definition unless the value overrides it, declares the
+// prefixes from options.namespaces used by the element itself or by more than
+// one child and drops declarations already in scope. Returns the scope for
+// the children.
+function _declareNamespaces(attributes, xmlns, usages, scope, options) {
+  let childScope = { ...scope }
+  if (attributes.xmlns === undefined && xmlns !== undefined) {
+    attributes.xmlns = _formatXmlOutput(xmlns, 'string', options)
+  }
+  for (let name of Object.keys(attributes)) {
+    let ns = name.match(/^xmlns(?::(.+))?$/)
+    if (!ns) {
+      continue
+    }
+    let prefix = ns[1] || ''
+    if (attributes[name] === (childScope[prefix] || '')) {
+      delete attributes[name]
+    } else {
+      childScope[prefix] = attributes[name]
+    }
+  }
+
+  for (let prefix of Object.keys(options.namespaces || {})) {
+    if (childScope[prefix] !== undefined) {
+      continue
+    }
+    let count = usages.filter(usage => usage.has(prefix)).length
+    if (
+      usages[0].has(prefix) ||
+      count > 1 ||
+      (count > 0 && options.namespaceDeclarations === 'root')
+    ) {
+      childScope[prefix] = _formatXmlOutput(
+        options.namespaces[prefix],
+        'string',
+        options
+      )
+      attributes['xmlns:' + prefix] = childScope[prefix]
+    }
+  }
+  return childScope
+}
+
+function _ownNamespaceUsage(elementName, attributes) {
+  let usage = new Set()
+  for (let name of [elementName, ...Object.keys(attributes)]) {
+    let prefix = namespacePrefix(name)
+    if (prefix && prefix !== 'xmlns') {
+      usage.add(prefix)
+    }
+  }
+  return usage
+}
+
+// Returns the namespace prefixes used by each child element, async iterables
+// count twice as they can yield more than one element
+function _childNamespaceUsages(childKeys, value, definition, options) {
+  let usages = []
+  if (!options.namespaces) {
+    return usages
+  }
+  for (let childKey of childKeys) {
+    let childValue = value[childKey]
+    if (Array.isArray(childValue)) {
+      for (let item of childValue) {
+        usages.push(_namespaceUsage(childKey, item, definition, options))
+      }
+    } else {
+      let usage = _namespaceUsage(childKey, childValue, definition, options)
+      usages.push(usage)
+      if (isAsyncIterable(childValue)) {
+        usages.push(usage)
+      }
+    }
+  }
+  return usages
+}
+
+// Returns the namespace prefixes used by the element and its descendants,
+// async iterables can't be looked into so the definition is used for them
+function _namespaceUsage(key, value, definition, options) {
+  definition = resolveDefinition(definition || {}, options.definitionTypes)
+  if (!options.namespaces) {
+    return new Set()
+  } else if (isAsyncIterable(value)) {
+    return definitionNamespacePrefixes(key, definition, options.definitionTypes)
+  } else if (Array.isArray(value)) {
+    let usage = new Set()
+    for (let item of value) {
+      for (let prefix of _namespaceUsage(key, item, definition, options)) {
+        usage.add(prefix)
+      }
+    }
+    return usage
+  }
+
+  let isObject = getType(value) === 'object'
+  if (isObject && options.namespaceUsages.has(value)) {
+    return options.namespaceUsages.get(value)
+  }
+
+  let namespace =
+    (isObject && value['namespace$']) ||
+    definition[key + '$namespace'] ||
+    namespacePrefix(key)
+  let names = Object.keys(definition[key + '$attributes'] || {})
+  if (namespace) {
+    names.push(`${namespace}:${key}`)
+  }
+  let childKeys = []
+  if (isObject) {
+    for (let objectKey of Object.keys(value)) {
+      if (objectKey.indexOf('$') === 0) {
+        names.push(objectKey.substr(1))
+      } else if (objectKey.indexOf('$') === -1) {
+        childKeys.push(objectKey)
+      }
+    }
+  }
+
+  let usage = new Set()
+  let declared = new Set()
+  for (let name of names) {
+    let ns = name.match(/^xmlns:(.+)$/)
+    let prefix = namespacePrefix(name.split('$')[0])
+    if (ns) {
+      declared.add(ns[1])
+    } else if (prefix) {
+      usage.add(prefix)
+    }
+  }
+  for (let childKey of childKeys) {
+    for (let prefix of _namespaceUsage(
+      childKey,
+      value[childKey],
+      definition[key],
+      options
+    )) {
+      usage.add(prefix)
+    }
+  }
+  // Prefixes declared by the element itself are not needed from the ancestors
+  for (let prefix of declared) {
+    usage.delete(prefix)
+  }
+
+  if (isObject) {
+    options.namespaceUsages.set(value, usage)
+  }
+  return usage
 }
 
 function generateXml(elementName, xmlType, attributes, value, options, level) {
@@ -136,11 +573,7 @@ function generateXml(elementName, xmlType, attributes, value, options, level) {
   let result = ''
 
   // Write <xml attrib=...>
-  // Attributes are unordered, but we sort here so it's easer to test the output
-  result += whitespace + '<' + elementName
-  for (let key of Object.keys(attributes).sort()) {
-    result += ' ' + key + '="' + attributes[key] + '"'
-  }
+  result += whitespace + '<' + elementName + generateXmlAttributes(attributes)
 
   if (value === '' && options.optimizeEmpty) {
     // <xml />
@@ -155,6 +588,54 @@ function generateXml(elementName, xmlType, attributes, value, options, level) {
   return result
 }
 
+function _mixedContentToXml(nodes, options) {
+  let result = ''
+  for (let node of nodes) {
+    if (typeof node === 'string') {
+      result += xmlEscapeValue(node)
+      continue
+    }
+
+    for (let elementName of Object.keys(node)) {
+      let value = node[elementName]
+      let attributes = {}
+      let content = ''
+      if (getType(value) === 'object') {
+        for (let key of Object.keys(value)) {
+          if (key === '$') {
+            content += xmlEscapeValue(value[key])
+          } else if (key === 'content$') {
+            content += _mixedContentToXml(value[key], options)
+          } else if (key.indexOf('$') === 0) {
+            attributes[key.substr(1)] = xmlEscapeValue(value[key])
+          }
+        }
+      } else {
+        content =
+          value === undefined || value === null ? '' : xmlEscapeValue(value)
+      }
+      result += generateXml(
+        elementName,
+        'mixed',
+        attributes,
+        `${content}`,
+        { ...options, indentation: 0 },
+        0
+      )
+    }
+  }
+  return result
+}
+
+function generateXmlAttributes(attributes) {
+  // Attributes are unordered, but we sort here so it's easer to test the output
+  let result = ''
+  for (let key of Object.keys(attributes).sort()) {
+    result += ' ' + key + '="' + attributes[key] + '"'
+  }
+  return result
+}
+
 function sortByList(list, order) {
   if (!order || order.length == 0) {
     return list
@@ -173,34 +654,21 @@ function sortByList(list, order) {
   })
 }
 
-function validateXmlType(value, xmlType, length) {
-  let type = getType(value)
-  if (type === 'array') {
+// Values of simple types that are objects, fx. durations or decimals from a
+// decimal library, are written as text
+function _isTextObject(value, xmlType) {
+  if (customType(itemType(xmlType))) {
+    // Unless it's text with attributes
+    return !value.hasOwnProperty('$')
+  } else if (itemType(xmlType) === 'duration') {
+    return isDuration(value)
   }
-
-  console.log('')
-  // TODO: Validate type and length
+  return (
+    isSimpleType(xmlType) && Object.getPrototypeOf(value) !== Object.prototype
+  )
 }
 
-function getType(val) {
-  if (val === undefined) {
-    return 'undefined'
-  } else if (val === null) {
-    return 'null'
-  } else if (Array.isArray(val)) {
-    return 'array'
-  } else if (
-    !!val.constructor &&
-    typeof val.constructor.isBuffer === 'function' &&
-    val.constructor.isBuffer(val)
-  ) {
-    return 'buffer'
-  } else {
-    return typeof val
-  }
-}
-
-function _formatXmlOutput(value, xmlType, options, level = 0) {
+function _formatXmlOutput(value, xmlType, options, level = 0, cdata = false) {
   if (value === undefined || value === null) {
     return ''
   }
@@ -211,6 +679,29 @@ function _formatXmlOutput(value, xmlType, options, level = 0) {
   if (Array.isArray(xmlType)) {
     xmlType = xmlType[0]
   }
+  if (typeof xmlType === 'string' && xmlType.endsWith('?')) {
+    xmlType = xmlType.slice(0, -1)
+  }
+
+  let members = unionMemberTypes(xmlType)
+  let listType = listItemType(xmlType)
+  let custom = customType(xmlType)
+  if (members) {
+    // Written as the first member type the value is valid for
+    let member = members.find(
+      member => validateXmlType(value, member, null, '') === null
+    )
+    return _formatXmlOutput(value, member, options, level, cdata)
+  } else if (listType && Array.isArray(value)) {
+    return value
+      .map(item => _formatXmlOutput(item, listType, options, level))
+      .join(' ')
+  } else if (custom && custom.serialize) {
+    let text = custom.serialize(value)
+    return cdata && text !== '' ? xmlCdataValue(text) : xmlEscapeValue(text)
+  } else if (custom) {
+    return _formatXmlOutput(value, custom.base, options, level, cdata)
+  }
 
   if (xmlType === 'xml') {
     let whitespace = ' '.repeat(options.indentation * (level + 1))
@@ -219,16 +710,50 @@ function _formatXmlOutput(value, xmlType, options, level = 0) {
     return Buffer.from(value).toString('base64')
   } else if (xmlType === 'hexBinary') {
     return Buffer.from(value).toString('hex')
+  } else if (dateTimeTypes.includes(xmlType)) {
+    return xmlEscapeValue(formatXsdDateTime(xmlType, value, options.timezone))
+  } else if (
+    ['double', 'float'].includes(xmlType) &&
+    typeof value === 'number' &&
+    !isFinite(value)
+  ) {
+    return isNaN(value) ? 'NaN' : value > 0 ? 'INF' : '-INF'
+  } else if (isDecimalType(xmlType) && typeof value !== 'string') {
+    return _plainNumberText(`${value}`)
+  } else if (cdata && value !== '') {
+    return xmlCdataValue(value)
   } else {
     return xmlEscapeValue(value)
   }
 }
 
+// Writes numbers like 1e+21 and 1e-7 without exponent
+function _plainNumberText(text) {
+  let match = text.match(/^([+-]?)(\d+)(?:\.(\d+))?e([+-]?\d+)$/i)
+  if (!match) {
+    return text
+  }
+  let [, sign, integer, fraction = '', exponent] = match
+  let digits = integer + fraction
+  let point = integer.length + parseInt(exponent, 10)
+  if (point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`
+  } else if (point >= digits.length) {
+    return sign + digits + '0'.repeat(point - digits.length)
+  }
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`
+}
+
+function xmlCdataValue(value) {
+  // "]]>" ends the section so it's split over two sections
+  return `<![CDATA[${`${value}`.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+}
+
 function xmlEscapeValue(value) {
   // https://stackoverflow.com/questions/1091945/what-characters-do-i-need-to-escape-in-xml-documents/1091953
   if (typeof value === 'string') {
     return value.replace(
-      /((?:&(?!(?:apos|quot|[gl]t|amp);))|(?:^<!\[CDATA\[.+?\]\]>)|[<>'"])/g,
+      /((?:&(?!(?:apos|quot|[gl]t|amp);))|(?:^<!\[CDATA\[[\s\S]*?\]\]>)|[<>'"])/g,
       function(match, p1) {
         switch (p1) {
           case '>':
@@ -252,3 +777,5 @@ function xmlEscapeValue(value) {
 }
 
 module.exports = toXml
+module.exports.toXmlStream = toXmlStream
+module.exports.xmlHeader = xmlHeader
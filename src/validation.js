@@ -0,0 +1,768 @@
+// @ts-check
+'use strict'
+
+const ValidationError = require('./validationerror')
+const {
+  dateTimeTypes,
+  parseXsdDateTime,
+  formatXsdDateTime,
+  isValidXsdDateTime
+} = require('./datetime')
+const { customType } = require('./customtypes')
+const {
+  nameStartChars,
+  nameChars,
+  xsdPatternToRegExp
+} = require('./xsdpattern')
+
+const integerRanges = {
+  byte: [-128, 127],
+  short: [-32768, 32767],
+  int: [-2147483648, 2147483647],
+  long: [BigInt('-9223372036854775808'), BigInt('9223372036854775807')],
+  integer: [-Infinity, Infinity],
+  negativeInteger: [-Infinity, -1],
+  nonNegativeInteger: [0, Infinity],
+  nonPositiveInteger: [-Infinity, 0],
+  positiveInteger: [1, Infinity],
+  unsignedByte: [0, 255],
+  unsignedShort: [0, 65535],
+  unsignedInt: [0, 4294967295],
+  unsignedLong: [0, BigInt('18446744073709551615')]
+}
+
+const facetNames = [
+  'pattern',
+  'enumeration',
+  'minInclusive',
+  'maxInclusive',
+  'minExclusive',
+  'maxExclusive',
+  'totalDigits',
+  'fractionDigits',
+  'whiteSpace'
+]
+
+const numericTypes = [
+  ...Object.keys(integerRanges),
+  'decimal',
+  'double',
+  'float'
+]
+
+const ncName = `[${nameStartChars}][${nameChars}]*`
+
+// Lexical space of the string types derived from token
+const tokenPatterns = {
+  language: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/,
+  Name: new RegExp(`^[:${nameStartChars}][:${nameChars}]*$`, 'u'),
+  NCName: new RegExp(`^${ncName}$`, 'u'),
+  ID: new RegExp(`^${ncName}$`, 'u'),
+  IDREF: new RegExp(`^${ncName}$`, 'u'),
+  ENTITY: new RegExp(`^${ncName}$`, 'u'),
+  NMTOKEN: new RegExp(`^[:${nameChars}]+$`, 'u'),
+  QName: new RegExp(`^(${ncName}:)?${ncName}$`, 'u'),
+  NOTATION: new RegExp(`^(${ncName}:)?${ncName}$`, 'u')
+}
+
+// Built-in list types and their item type
+const listTypes = {
+  IDREFS: 'IDREF',
+  ENTITIES: 'ENTITY',
+  NMTOKENS: 'NMTOKEN'
+}
+
+const patternCache = new Map()
+
+// Returns a ValidationError describing the first problem with value or null,
+// lexical validates value as the text from an XML document
+function validateXmlType(
+  value,
+  xmlType,
+  length,
+  path,
+  lexical = false,
+  facets = null
+) {
+  let type = getType(value)
+
+  if (type === 'array' && !isListValue(value, xmlType)) {
+    // Occurrences are checked on the parent by validateOccurrences
+    return null
+  }
+
+  let xsdType = itemType(xmlType)
+  let nullable = false
+  if (xsdType && xsdType.endsWith('?')) {
+    xsdType = xsdType.slice(0, -1)
+    nullable = true
+  }
+
+  if (value === undefined || value === null) {
+    if (
+      nullable ||
+      !(
+        xsdType in integerRanges ||
+        ['boolean', 'decimal', 'double', 'float'].includes(xsdType)
+      )
+    ) {
+      return null
+    }
+    return new ValidationError(
+      `Expected ${path} to be of type ${xsdType} found ${type}`,
+      null,
+      { path, expected: { type: xsdType }, value }
+    )
+  }
+
+  if (nullable && type === 'string' && value.trim() === '') {
+    return null
+  }
+
+  if (!isValidXsdValue(value, xsdType, lexical)) {
+    let text = ['object', 'array'].includes(type)
+      ? JSON.stringify(value)
+      : value
+    return new ValidationError(
+      `Expected ${path} to be of type ${xsdType} found '${text}'`,
+      null,
+      { path, expected: { type: xsdType }, value }
+    )
+  }
+
+  if (facets) {
+    // Facets of custom types apply to the text of their base type
+    let custom = customType(xsdType)
+    let error = custom
+      ? validateFacets(
+          !lexical && custom.serialize ? custom.serialize(value) : value,
+          custom.base,
+          facets,
+          path
+        )
+      : validateFacets(value, xsdType, facets, path)
+    if (error) {
+      return error
+    }
+  }
+
+  if (length && (length[0] > 0 || length[1] >= 0)) {
+    let valueLength = `${value}`.length
+    if (listItemType(xsdType)) {
+      // The length of lists is the number of items
+      valueLength = _listItems(value).length
+    } else if (lexical && ['base64Binary', 'hexBinary'].includes(xsdType)) {
+      valueLength = Buffer.from(
+        value.replace(/\s/g, ''),
+        xsdType === 'base64Binary' ? 'base64' : 'hex'
+      ).length
+    } else if (
+      type === 'buffer' ||
+      ['base64Binary', 'hexBinary'].includes(xsdType)
+    ) {
+      valueLength = Buffer.byteLength(value)
+    }
+    if (valueLength < length[0]) {
+      return new ValidationError(
+        `Expected ${path} to have a length of at least ${
+          length[0]
+        } found ${valueLength}`,
+        null,
+        { path, expected: { length }, value }
+      )
+    }
+    if (length[1] >= 0 && valueLength > length[1]) {
+      return new ValidationError(
+        `Expected ${path} to have a length of at most ${
+          length[1]
+        } found ${valueLength}`,
+        null,
+        { path, expected: { length }, value }
+      )
+    }
+  }
+
+  return null
+}
+
+// Returns a ValidationError if value doesn't satisfy the XSD facets or null
+function validateFacets(value, xsdType, facets, path) {
+  let text = _facetText(value, xsdType, facets.whiteSpace)
+  let numeric = numericTypes.includes(xsdType)
+  let fail = (message, expected) =>
+    new ValidationError(`Expected ${path} ${message}`, null, {
+      path,
+      expected,
+      value
+    })
+
+  for (let pattern of [].concat(facets.pattern || [])) {
+    let regExp = _patternRegExp(pattern)
+    if (regExp instanceof Error) {
+      return fail(
+        `to match the pattern ${pattern} which is not supported: ${
+          regExp.message
+        }`,
+        { pattern }
+      )
+    } else if (!regExp.test(text)) {
+      return fail(`to match the pattern ${pattern} found '${text}'`, {
+        pattern
+      })
+    }
+  }
+
+  let enumeration = facets.enumeration
+  if (
+    enumeration &&
+    !enumeration.some(item => (numeric ? +item === +text : `${item}` === text))
+  ) {
+    return fail(
+      `to be one of ${enumeration
+        .map(item => `'${item}'`)
+        .join(', ')} found '${text}'`,
+      { enumeration }
+    )
+  }
+
+  // Integers are compared as BigInts to keep bounds above 2^53 exact and
+  // dates as points in time
+  let comparable =
+    xsdType in integerRanges
+      ? _integerValue
+      : numeric
+        ? Number
+        : ['dateTime', 'date'].includes(xsdType)
+          ? item =>
+              item instanceof Date
+                ? +item
+                : +parseXsdDateTime(xsdType, `${item}`)
+          : null
+  if (comparable) {
+    let number = comparable(text)
+    let bounds = [
+      ['minInclusive', 'at least', bound => number >= bound],
+      ['maxInclusive', 'at most', bound => number <= bound],
+      ['minExclusive', 'greater than', bound => number > bound],
+      ['maxExclusive', 'less than', bound => number < bound]
+    ]
+    for (let [facet, description, isValid] of bounds) {
+      let bound = facets[facet]
+      if (
+        bound !== undefined &&
+        bound !== null &&
+        !isValid(comparable(bound))
+      ) {
+        return fail(`to be ${description} ${bound} found ${text}`, {
+          [facet]: bound
+        })
+      }
+    }
+  }
+
+  if (numeric) {
+    let digits = _decimalDigits(text)
+    if (
+      digits &&
+      facets.totalDigits >= 0 &&
+      digits.total > facets.totalDigits
+    ) {
+      return fail(
+        `to have at most ${facets.totalDigits} digits found ${digits.total}`,
+        { totalDigits: facets.totalDigits }
+      )
+    }
+    if (
+      digits &&
+      facets.fractionDigits >= 0 &&
+      digits.fraction > facets.fractionDigits
+    ) {
+      return fail(
+        `to have at most ${facets.fractionDigits} fraction digits found ${
+          digits.fraction
+        }`,
+        { fractionDigits: facets.fractionDigits }
+      )
+    }
+  }
+  return null
+}
+
+// Returns the facets for key in definition, fx. key$pattern, or null
+function definitionFacets(definition, key) {
+  let facets = null
+  for (let name of facetNames) {
+    let facet = definition ? definition[`${key}$${name}`] : undefined
+    if (facet !== undefined) {
+      facets = facets || {}
+      facets[name] = facet
+    }
+  }
+  return facets
+}
+
+// Returns the value as XSD text with the whiteSpace facet applied, only
+// string types keep their whitespace by default
+function _facetText(value, xsdType, whiteSpace) {
+  let type = getType(value)
+  let text =
+    type === 'buffer'
+      ? value.toString(xsdType === 'hexBinary' ? 'hex' : 'base64')
+      : type === 'array'
+        ? value.join(' ')
+        : type === 'date' || type === 'object'
+          ? `${formatXsdDateTime(xsdType, value)}`
+          : `${value}`
+  let mode =
+    whiteSpace ||
+    (xsdType === 'string' || !xsdType
+      ? 'preserve'
+      : xsdType === 'normalizedString'
+        ? 'replace'
+        : 'collapse')
+  return normalizeWhiteSpace(text, mode)
+}
+
+// Applies the XSD whiteSpace modes, replace turns tabs and line breaks into
+// spaces and collapse also joins runs of spaces and trims the text
+function normalizeWhiteSpace(text, mode) {
+  if (mode === 'replace' || mode === 'collapse') {
+    text = text.replace(/[\t\n\r]/g, ' ')
+  }
+  if (mode === 'collapse') {
+    text = text.replace(/ {2,}/g, ' ').trim()
+  }
+  return text
+}
+
+// Returns the RegExp for an XSD pattern or the error translating it
+function _patternRegExp(pattern) {
+  if (!patternCache.has(pattern)) {
+    try {
+      patternCache.set(pattern, xsdPatternToRegExp(pattern))
+    } catch (error) {
+      patternCache.set(pattern, error)
+    }
+  }
+  return patternCache.get(pattern)
+}
+
+// Returns integer text as a BigInt, numbers and BigInts compare exactly
+function _integerValue(item) {
+  let text = `${item}`.trim()
+  return /^[+-]?\d+$/.test(text) ? BigInt(text) : Number(item)
+}
+
+// Returns the number of significant digits and fraction digits of a decimal
+function _decimalDigits(text) {
+  let match = text.match(/^[+-]?(\d*)(?:\.(\d*))?$/)
+  if (!match) {
+    return null
+  }
+  let integer = match[1].replace(/^0+/, '')
+  let fraction = (match[2] || '').replace(/0+$/, '')
+  return {
+    total: Math.max(integer.length + fraction.length, 1),
+    fraction: fraction.length
+  }
+}
+
+function isValidXsdValue(value, xsdType, lexical) {
+  let type = getType(value)
+  let custom = customType(xsdType)
+  if (custom) {
+    if (lexical) {
+      try {
+        value = custom.parse(value)
+      } catch (error) {
+        return false
+      }
+    }
+    return custom.validate
+      ? !!custom.validate(value)
+      : isValidXsdValue(value, custom.base, false)
+  } else if (unionMemberTypes(xsdType)) {
+    return unionMemberTypes(xsdType).some(member =>
+      isValidXsdValue(value, member, lexical)
+    )
+  } else if (listItemType(xsdType)) {
+    let items = type === 'array' || type === 'string' ? _listItems(value) : []
+    // The built-in list types need at least one item
+    return (
+      (items.length > 0 || xsdType.endsWith('[]')) &&
+      items.every(item => isValidXsdValue(item, listItemType(xsdType), lexical))
+    )
+  } else if (xsdType in tokenPatterns) {
+    return (
+      type === 'string' &&
+      tokenPatterns[xsdType].test(value.replace(/\s+/g, ' ').trim())
+    )
+  } else if (xsdType in integerRanges) {
+    let range = integerRanges[xsdType]
+    // Compared as BigInt so long values above 2^53 are checked exactly
+    let number =
+      type === 'string' && value.match(/^\s*[+-]?\d+\s*$/)
+        ? BigInt(value.trim())
+        : value
+    return (
+      (typeof number === 'bigint' || Number.isInteger(number)) &&
+      number >= range[0] &&
+      number <= range[1]
+    )
+  } else if (xsdType === 'decimal' && type === 'object') {
+    // Decimals from a decimal library
+    return /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(`${value}`)
+  } else if (xsdType === 'decimal') {
+    return type === 'string'
+      ? /^\s*[+-]?(\d+(\.\d*)?|\.\d+)\s*$/.test(value)
+      : (type === 'number' && isFinite(value)) || type === 'bigint'
+  } else if (xsdType === 'float' || xsdType === 'double') {
+    return type === 'string'
+      ? /^\s*([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)\s*$/.test(
+          value
+        )
+      : type === 'number'
+  } else if (xsdType === 'boolean') {
+    return type === 'string'
+      ? /^\s*(true|false|1|0)\s*$/.test(value)
+      : type === 'boolean'
+  } else if (xsdType === 'base64Binary' && lexical) {
+    return /^([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(
+      value.replace(/\s/g, '')
+    )
+  } else if (xsdType === 'hexBinary' && lexical) {
+    return /^\s*([0-9A-Fa-f]{2})*\s*$/.test(value)
+  } else if (xsdType === 'base64Binary' || xsdType === 'hexBinary') {
+    return type === 'buffer' || type === 'string'
+  } else if (dateTimeTypes.includes(xsdType)) {
+    return isValidXsdDateTime(value, xsdType)
+  } else if (xsdType === 'empty') {
+    return value === ''
+  } else if (!xsdType || ['any', 'anyType', 'xml'].includes(xsdType)) {
+    return true
+  } else {
+    return ['string', 'number', 'boolean'].includes(type)
+  }
+}
+
+// Returns ValidationErrors for child elements that occur too few or too many times
+function validateOccurrences(value, definition, path) {
+  let errors = []
+  let object = getType(value) === 'object' ? value : {}
+  let names = new Set()
+  for (let key of Object.keys(definition || {})) {
+    let name = key.replace(/\$(type|required)$/, '')
+    if (name !== key && name !== '') {
+      names.add(name)
+    }
+  }
+  for (let name of names) {
+    let key = name + '$type'
+
+    let childValue = object[name]
+    if (isAsyncIterable(childValue)) {
+      continue // Counted while the items are serialized
+    }
+    let count = occurrenceCount(childValue, definition[key])
+
+    let error = validateOccurrenceCount(
+      count,
+      definition[key],
+      `${path}.${name}`,
+      childValue,
+      definition[name + '$required']
+    )
+    if (error) {
+      errors.push(error)
+    }
+  }
+  return errors
+}
+
+// Returns how many times an element occurs, arrays of list types are one
+// occurrence
+function occurrenceCount(value, xmlType) {
+  return Array.isArray(value) && !isListValue(value, xmlType)
+    ? value.length
+    : value === undefined
+      ? 0
+      : 1
+}
+
+// Returns ValidationErrors for $choice entries where none or too many of the
+// alternatives are present, alternatives are element names or lists of names
+function validateChoices(value, choices, path, definition = {}) {
+  let errors = []
+  let object = getType(value) === 'object' ? value : {}
+  for (let choice of choices || []) {
+    let alternatives = choice.elements.map(names => [].concat(names))
+    let description = alternatives.map(names => names.join(', ')).join(' | ')
+    let count = 0
+    let present = 0
+    for (let names of alternatives) {
+      let counts = names.map(name =>
+        occurrenceCount(object[name], definition[name + '$type'])
+      )
+      count += Math.max(0, ...counts)
+      present += counts.some(nameCount => nameCount > 0) ? 1 : 0
+    }
+
+    let expected = { choice: choice.elements }
+    let minOccurs = choice.minOccurs === undefined ? 1 : choice.minOccurs
+    let maxOccurs = choice.maxOccurs === undefined ? 1 : choice.maxOccurs
+    if (count === 0 && minOccurs > 0) {
+      errors.push(
+        new ValidationError(
+          `Expected one of ${description} in ${path} to be present`,
+          null,
+          { path, expected, value }
+        )
+      )
+    } else if (maxOccurs === 1 && present > 1) {
+      errors.push(
+        new ValidationError(
+          `Expected only one of ${description} in ${path} found ${present}`,
+          null,
+          { path, expected, value }
+        )
+      )
+    } else if (count > maxOccurs) {
+      errors.push(
+        new ValidationError(
+          `Expected at most ${maxOccurs} of ${description} in ${path} found ${count}`,
+          null,
+          { path, expected, value }
+        )
+      )
+    } else if (count > 0 && count < minOccurs) {
+      errors.push(
+        new ValidationError(
+          `Expected at least ${minOccurs} of ${description} in ${path} found ${count}`,
+          null,
+          { path, expected, value }
+        )
+      )
+    }
+  }
+  return errors
+}
+
+// Returns a ValidationError if count is outside the minOccurs/maxOccurs of xmlType or null
+function validateOccurrenceCount(
+  count,
+  xmlType,
+  path,
+  value = undefined,
+  required = false
+) {
+  let minOccurs = Array.isArray(xmlType) ? xmlType[1] : required ? 1 : undefined
+  let maxOccurs = Array.isArray(xmlType) ? xmlType[2] : 1
+  let expected = { occurs: [minOccurs, maxOccurs] }
+
+  if (count === 0 && minOccurs > 0) {
+    return new ValidationError(
+      `Expected required element ${path} to be present`,
+      null,
+      { path, expected }
+    )
+  } else if (minOccurs !== undefined && count < minOccurs) {
+    return new ValidationError(
+      `Expected ${path} to have at least ${minOccurs} items found ${count}`,
+      null,
+      { path, expected, value }
+    )
+  } else if (maxOccurs !== undefined && count > maxOccurs) {
+    return new ValidationError(
+      `Expected ${path} to have at most ${maxOccurs} items found ${count}`,
+      null,
+      { path, expected, value }
+    )
+  }
+  return null
+}
+
+// Returns ValidationErrors for attributes that are missing, differ from their
+// fixed value or don't match their $type and $length
+function validateAttributes(
+  values,
+  definitionAttributes,
+  path,
+  lexical = false
+) {
+  let errors = []
+  let names = new Set(Object.keys(values))
+  for (let key of Object.keys(definitionAttributes)) {
+    names.add(key.split('$')[0])
+  }
+
+  for (let name of names) {
+    let attributePath = `${path}.$${name}`
+    let value = values[name]
+    if (value === undefined || value === null) {
+      if (definitionAttributes[name + '$required']) {
+        errors.push(
+          new ValidationError(
+            `Expected required attribute ${attributePath} to be present`,
+            null,
+            { path: attributePath, expected: { required: true } }
+          )
+        )
+      }
+      continue
+    }
+
+    let fixed = definitionAttributes[name + '$fixed']
+    if (fixed !== undefined && `${value}`.trim() !== `${fixed}`) {
+      errors.push(
+        new ValidationError(
+          `Expected ${attributePath} to have the fixed value '${fixed}' found '${value}'`,
+          null,
+          { path: attributePath, expected: { fixed }, value }
+        )
+      )
+      continue
+    }
+
+    let error = validateXmlType(
+      value,
+      definitionAttributes[name + '$type'],
+      definitionAttributes[name + '$length'],
+      attributePath,
+      lexical,
+      definitionFacets(definitionAttributes, name)
+    )
+    if (error) {
+      errors.push(error)
+    }
+  }
+  return errors
+}
+
+function isAsyncIterable(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value[Symbol.asyncIterator] === 'function'
+  )
+}
+
+// Throws the error right away or saves it for later when options.validation is 'all'
+function reportValidationError(error, options) {
+  if (!error) {
+    return
+  }
+  if (options.validation === 'all') {
+    options.validationErrors.push(error)
+  } else {
+    throw error
+  }
+}
+
+function throwValidationErrors(errors) {
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Found ${errors.length} validation error${
+        errors.length > 1 ? 's' : ''
+      }:\n` + errors.map(error => `  ${error.message}`).join('\n'),
+      null,
+      { errors }
+    )
+  }
+}
+
+// Returns the item type of list types, fx. int for int[] and NMTOKEN for
+// NMTOKENS
+function listItemType(xmlType) {
+  let xsdType = itemType(xmlType)
+  if (typeof xsdType !== 'string') {
+    return undefined
+  }
+  xsdType = xsdType.replace(/\?$/, '')
+  return xsdType.endsWith('[]') ? xsdType.slice(0, -2) : listTypes[xsdType]
+}
+
+// Arrays of list types are the items of one list unless the element is
+// repeated and the items are lists themselves
+function isListValue(value, xmlType) {
+  return (
+    Array.isArray(value) &&
+    !!listItemType(xmlType) &&
+    !value.some(item => Array.isArray(item)) &&
+    !(Array.isArray(xmlType) && value.length === 0)
+  )
+}
+
+// Returns the member types of unions, fx. ['int', 'date'] for int|date, the
+// list type int|date[] is a list of the union
+function unionMemberTypes(xmlType) {
+  let xsdType = itemType(xmlType)
+  if (typeof xsdType !== 'string') {
+    return null
+  }
+  xsdType = xsdType.replace(/\?$/, '')
+  return xsdType.includes('|') && !xsdType.endsWith('[]')
+    ? xsdType.split('|')
+    : null
+}
+
+function _listItems(value) {
+  return Array.isArray(value)
+    ? value
+    : `${value}`.split(/\s+/).filter(item => item !== '')
+}
+
+// Types written as plain numbers without exponent
+function isDecimalType(xmlType) {
+  let xsdType = itemType(xmlType)
+  return xsdType === 'decimal' || xsdType in integerRanges
+}
+
+function isSimpleType(xmlType) {
+  let xsdType = itemType(xmlType)
+  return !!xsdType && !['any', 'anyType', 'xml', 'object'].includes(xsdType)
+}
+
+function itemType(xmlType) {
+  return Array.isArray(xmlType) ? xmlType[0] : xmlType
+}
+
+function getType(val) {
+  if (val === undefined) {
+    return 'undefined'
+  } else if (val === null) {
+    return 'null'
+  } else if (Array.isArray(val)) {
+    return 'array'
+  } else if (
+    !!val.constructor &&
+    typeof val.constructor.isBuffer === 'function' &&
+    val.constructor.isBuffer(val)
+  ) {
+    return 'buffer'
+  } else if (val instanceof Date) {
+    return 'date'
+  } else {
+    return typeof val
+  }
+}
+
+module.exports = {
+  validateXmlType,
+  validateFacets,
+  definitionFacets,
+  normalizeWhiteSpace,
+  validateOccurrences,
+  validateOccurrenceCount,
+  validateChoices,
+  validateAttributes,
+  reportValidationError,
+  throwValidationErrors,
+  isSimpleType,
+  isDecimalType,
+  listItemType,
+  isListValue,
+  unionMemberTypes,
+  itemType,
+  isAsyncIterable,
+  getType
+}
@@ -1,11 +1,20 @@
 // @ts-check
 'use strict'
 
-function ValidationError(message, innerError = null) {
+/**
+ * @param {string} message
+ * @param {Error} [innerError]
+ * @param {Object} [details] path, expected and value of the violation or errors for an aggregate
+ */
+function ValidationError(message, innerError = null, details = {}) {
   this.name = 'ValidationError'
   this.message = message
   this.stack = new Error().stack
   this.innerError = innerError
+  this.path = details.path
+  this.expected = details.expected
+  this.value = details.value
+  this.errors = details.errors || []
 }
 ValidationError.prototype = Object.create(Error.prototype)
 ValidationError.prototype.constructor = ValidationError
@@ -1,39 +1,205 @@
 // @ts-check
 'use strict'
 
+const path = require('path')
+const { Transform } = require('stream')
 const expat = require('node-expat')
 const _toXml = require('./toxml')
+const ValidationError = require('./validationerror')
+const {
+  validateXmlType,
+  definitionFacets,
+  normalizeWhiteSpace,
+  validateOccurrences,
+  validateChoices,
+  validateAttributes,
+  throwValidationErrors,
+  isDecimalType,
+  listItemType,
+  isListValue,
+  unionMemberTypes,
+  itemType,
+  getType
+} = require('./validation')
+const { namespacePrefix, definitionNamespacePrefixes } = require('./namespaces')
+const { resolveDefinition } = require('./definitions')
+const { dateTimeTypes, parseXsdDateTime } = require('./datetime')
+const { setCustomType, customType } = require('./customtypes')
 
 const defaultToXmlOptions = {
   indentation: 2,
   optimizeEmpty: true,
   convertTypes: true,
   validation: false,
-  xmlHeader: false
+  xmlHeader: false,
+  timezone: 'Z'
 }
 
+// Global XSD components by symbol space, types, elements, attributes and
+// attribute groups can share names
+const xsdSymbolSpaces = {
+  simpleType: '#',
+  complexType: '#',
+  element: '',
+  attribute: '@',
+  attributeGroup: '@#',
+  group: '%'
+}
+
+const xsdFacetNames = [
+  'length',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'enumeration',
+  'minInclusive',
+  'maxInclusive',
+  'minExclusive',
+  'maxExclusive',
+  'totalDigits',
+  'fractionDigits',
+  'whiteSpace'
+]
+
+// Integer types that can hold values above 2^53
+const bigIntTypes = [
+  'integer',
+  'long',
+  'negativeInteger',
+  'nonNegativeInteger',
+  'nonPositiveInteger',
+  'positiveInteger',
+  'unsignedLong'
+]
+
+// String types that have their whitespace collapsed
+const collapsedStringTypes = [
+  'token',
+  'language',
+  'Name',
+  'NCName',
+  'ID',
+  'IDREF',
+  'ENTITY',
+  'NMTOKEN',
+  'QName',
+  'NOTATION',
+  'anyURI'
+]
+
+// Definition used below elements that can contain anything
+const anyDefinition = Object.freeze({})
+
 const defaultFromXmlOptions = {
   indentation: 2,
   inlineAttributes: true,
-  convertTypes: true
+  convertTypes: true,
+  validation: false,
+  cdata: false,
+  bigInt: false,
+  decimal: 'number',
+  whiteSpace: 'preserve'
 }
 
 function toXml(obj, rootName, definition = {}, options = {}) {
   let currentOptions = { ...defaultToXmlOptions, ...options }
   return (
-    (options.xmlHeader ? `<?xml version="1.0" encoding="UTF-8" ?>\n` : '') +
+    (options.xmlHeader ? _toXml.xmlHeader : '') +
     _toXml(obj, rootName, definition, currentOptions)
   )
 }
 
+function toXmlStream(obj, rootName, definition = {}, options = {}) {
+  let currentOptions = { ...defaultToXmlOptions, ...options }
+  return _toXml.toXmlStream(obj, rootName, definition, currentOptions)
+}
+
 function fromXml(xml, definition = {}, options = {}) {
   let args = Object.assign({}, defaultFromXmlOptions, options)
-  return _fromXml(xml, definition, args.inlineAttributes, args.convertTypes)
+  return _fromXml(xml, definition, args)
+}
+
+function fromXmlStream(elementPath, definition = {}, options = {}) {
+  let args = Object.assign({}, defaultFromXmlOptions, options)
+  let elements = []
+  const { parser, validationErrors } = _createParser(
+    definition,
+    args,
+    elementPath.split('.'),
+    element => elements.push(element)
+  )
+
+  const parse = (data, isFinal, stream, callback) => {
+    try {
+      if (!parser.parse(data, isFinal)) {
+        throw new Error(
+          'There are errors in your xml file: ' + parser.getError()
+        )
+      }
+      // With validation 'all' the errors are collected until the end
+      if (isFinal || args.validation !== 'all') {
+        _throwValidationErrors(validationErrors, args.validation)
+      }
+    } catch (error) {
+      return callback(error)
+    }
+    for (let element of elements.splice(0)) {
+      // null ends a stream so elements converted to null are left out
+      if (element !== null) {
+        stream.push(element)
+      }
+    }
+    callback()
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      parse(chunk, false, this, callback)
+    },
+    flush(callback) {
+      parse('', true, this, callback)
+    }
+  })
+}
+
+// Registers a type that can be used as $type in definitions, the functions
+// that are left out fall back to the base type, 'string' by default
+function registerType(name, converter = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Type name must be a non-empty string')
+  }
+  for (let fn of ['parse', 'serialize', 'validate', 'sample']) {
+    if (converter[fn] !== undefined && typeof converter[fn] !== 'function') {
+      throw new Error(`Expected ${fn} of type '${name}' to be a function`)
+    }
+  }
+  let base = converter.base || 'string'
+  if (base === name || customType(base)) {
+    throw new Error(
+      `Expected base of type '${name}' to be an XSD type found '${base}'`
+    )
+  }
+  setCustomType(name, {
+    ...converter,
+    base,
+    // Validation of XML text parses it first
+    parse:
+      converter.parse ||
+      ((text, options) => _convertFromXsdType(base, text, options))
+  })
 }
 
 function generateSample(rootName, definition) {
+  let types = definition.$types
+  definition = resolveDefinition(definition, types)
   return {
-    [rootName]: _generateSample(definition[rootName])
+    [rootName]: _generateSample(
+      definition[rootName],
+      definition[rootName + '$choice'],
+      types,
+      [definition[rootName]]
+    )
   }
 }
 
@@ -46,26 +212,15 @@ function generateDefinition(
   if (type === 'xml') {
     let obj =
       typeof xmlOrObj === 'string'
-        ? _fromXml(xmlOrObj, null, false, false)
+        ? _fromXml(xmlOrObj, null, {
+            inlineAttributes: false,
+            convertTypes: false
+          })
         : xmlOrObj
     return _generateDefinitionXml(obj, options)
   } else if (type === 'xsd') {
-    let obj =
-      typeof xmlOrObj === 'string'
-        ? _fromXml(
-            xmlOrObj,
-            {
-              schema: {
-                element$type: [],
-                simpleType$type: [],
-                complexType$type: []
-              }
-            },
-            true,
-            false
-          ).schema
-        : xmlOrObj
-    return _generateDefinitionXsd(obj, namespaces)
+    let obj = typeof xmlOrObj === 'string' ? _parseXsd(xmlOrObj) : xmlOrObj
+    return _generateDefinitionXsd(obj, namespaces, options)
   } else {
     throw new Error("Unknown type '" + type + "'")
   }
@@ -81,21 +236,54 @@ class Parser {
     return toXml(obj, rootName, this._definition, this._options)
   }
 
+  toXmlStream(obj, rootName) {
+    return toXmlStream(obj, rootName, this._definition, this._options)
+  }
+
   fromXml(xml) {
     return fromXml(xml, this._definition, this._options)
   }
 
+  fromXmlStream(elementPath) {
+    return fromXmlStream(elementPath, this._definition, this._options)
+  }
+
   generateSample(rootName) {
     return generateSample(this._definition, this._options)
   }
 
-  generateDefinition(xml, type = 'xml', namespaces = {}) {
-    return generateDefinition(xml, type, namespaces)
+  generateDefinition(xml, type = 'xml', namespaces = {}, options) {
+    return generateDefinition(xml, type, namespaces, options)
   }
 }
 
-function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
-  const definitions = [objectDefinition || {}]
+function _fromXml(xml, objectDefinition, options) {
+  const { parser, result, validationErrors } = _createParser(
+    objectDefinition,
+    options
+  )
+
+  if (!parser.parse(xml)) {
+    throw new Error('There are errors in your xml file: ' + parser.getError())
+  }
+  _throwValidationErrors(validationErrors, options.validation)
+
+  return result
+}
+
+// Creates an expat parser that builds the result object from the parsed XML,
+// elements matching elementPath are passed to onElement and removed from the result
+function _createParser(
+  objectDefinition,
+  options,
+  elementPath = null,
+  onElement = null
+) {
+  const { inlineAttributes, convertTypes, validation, cdata } = options
+  const types = objectDefinition ? objectDefinition.$types : undefined
+  const definitions = [resolveDefinition(objectDefinition || {}, types)]
+  const checkUnknownElements =
+    validation && Object.keys(definitions[0]).length > 0
 
   const parser = new expat.Parser('UTF-8')
   let result = {}
@@ -104,38 +292,64 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
   let currentType = ''
   let objects = []
   let names = []
+  let paths = []
+  let validationErrors = []
+  let streamedCounts = new WeakMap() // { parentObject: count }
+  let mixedFrames = [] // [{ name, attributes, nodes }]
+  let currentCdata = false
 
   let orders = []
-  let namespaces = {} // { nsAlias: url }
+  let namespaceScopes = [{}] // [{ nsAlias: url }], '' is the default namespace
+  let xmlSpaceScopes = ['default'] // xml:space of the elements
+  let definitionDefaultNamespaces = [''] // Default namespace url from $xmlns
   let definitionNamespaces = {} // { nsAlias: url }
   let definitionNamespaceUrls = {} // { url: nsAlias }
 
   parser.on('startElement', function(name, attributes) {
+    // Elements inside mixed content are kept as is
+    if (mixedFrames.length > 0) {
+      _addMixedText(mixedFrames, currentValue)
+      currentValue = ''
+      mixedFrames.push({ name, attributes, nodes: [] })
+      return
+    }
+
     // Parse namespace
     let nsAlias = name.split(':')
-    if (nsAlias.length > 1) {
-      name = nsAlias[1]
-      nsAlias = nsAlias[0]
-    } else {
-      nsAlias = undefined
-    }
+    let localName = nsAlias[nsAlias.length - 1]
+    nsAlias = nsAlias.length > 1 ? nsAlias[0] : undefined
+
+    // Scope the namespace declarations of the element to its children
+    let namespaces = Object.assign(
+      {},
+      namespaceScopes[namespaceScopes.length - 1]
+    )
+    Object.keys(attributes).forEach(function(key) {
+      let ns = key.match(/^xmlns(?::(.+))?$/)
+      if (ns) {
+        namespaces[ns[1] || ''] = attributes[key]
+      }
+    })
+    namespaceScopes.push(namespaces)
+    let nsUrl = namespaces[nsAlias || '']
+    xmlSpaceScopes.push(
+      attributes['xml:space'] || xmlSpaceScopes[xmlSpaceScopes.length - 1]
+    )
 
     const definition = definitions[definitions.length - 1]
+    name = _resolveElementName(
+      definition,
+      localName,
+      nsUrl,
+      definitionNamespaces
+    )
     let definitionAttributes = definition[name + '$attributes'] || {}
 
     currentType = definition[name + '$type']
+    currentCdata = false
     let nextObject = {}
     currentValue = '' // TODO: Create $t value on object if this has data
 
-    // TODO: Simplify namespace handling by only working with urls
-
-    // Extract namespaces for alias lookup
-    Object.keys(attributes).forEach(function(key) {
-      let ns = key.match(/^xmlns:(.+)$/)
-      if (ns) {
-        namespaces[ns[1]] = attributes[key]
-      }
-    })
     Object.keys(definitionAttributes).forEach(function(key) {
       let ns = key.match(/^xmlns:(.+)$/)
       if (ns) {
@@ -144,8 +358,14 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
       }
     })
 
-    let nsUrl = namespaces[nsAlias]
-    let definitionNsUrl = definitionNamespaces[definition[name + '$namespace']]
+    let defaultNamespace = definition.hasOwnProperty(name + '$xmlns')
+      ? definition[name + '$xmlns']
+      : definitionDefaultNamespaces[definitionDefaultNamespaces.length - 1]
+    let definitionNsAlias =
+      definition[name + '$namespace'] || namespacePrefix(name)
+    let definitionNsUrl = definitionNsAlias
+      ? definitionNamespaces[definitionNsAlias]
+      : defaultNamespace || undefined
 
     if (nsAlias && nsUrl != definitionNsUrl) {
       if (inlineAttributes) {
@@ -156,38 +376,81 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
     }
 
     // Filter attributes so we only include ones not in definition
+    let attributeValues = {} // { definitionName: value }
     Object.keys(attributes).forEach(key => {
       let value = attributes[key]
       let definitionValue = ''
+      let definitionName = null
       let nameNsAlias = key.split(':')
       if (nameNsAlias.length > 1) {
         if (nameNsAlias[0] === 'xmlns') {
           let definitionNsAlias = definitionNamespaceUrls[value]
-          if (definitionNsAlias) {
+          if (definitionNsAlias || value === defaultNamespace) {
             definitionValue = value
           }
         } else {
           let nsUrl = namespaces[nameNsAlias[0]]
           let definitionNsAlias = definitionNamespaceUrls[nsUrl]
-          if (definitionNsAlias) {
-            definitionValue =
-              definitionAttributes[definitionNsAlias + ':' + nameNsAlias[1]]
-          }
+          definitionName = definitionNsAlias
+            ? definitionNsAlias + ':' + nameNsAlias[1]
+            : key
         }
-      } else {
-        definitionValue = definitionAttributes[key]
+      } else if (
+        key === 'xmlns' &&
+        (value === '' ||
+          value === defaultNamespace ||
+          definitionNamespaceUrls[value])
+      ) {
+        // Default namespaces known by the definition are resolved by url
+        definitionValue = value
+      } else if (key !== 'xmlns') {
+        definitionName = key
+      }
+
+      if (definitionName) {
+        value = _normalizeText(
+          value,
+          definitionAttributes,
+          definitionName,
+          options.whiteSpace
+        )
+        attributes[key] = value
+        attributeValues[definitionName] = value
+        definitionValue = definitionAttributes.hasOwnProperty(definitionName)
+          ? definitionAttributes[definitionName]
+          : definitionAttributes[definitionName + '$fixed']
       }
 
       if (value === definitionValue) {
         delete attributes[key]
-      } else {
-        let attributeType = definitionAttributes[key + '$type']
+      } else if (definitionName && convertTypes) {
+        let attributeType = definitionAttributes[definitionName + '$type']
         if (attributeType) {
-          attributes[key] = _convertFromXsdType(attributeType, attributes[key])
+          attributes[key] = _convertFromXsdType(
+            attributeType,
+            attributes[key],
+            options
+          )
         }
       }
     })
 
+    // Add the default value of missing attributes
+    Object.keys(definitionAttributes).forEach(key => {
+      let attributeName = key.replace(/\$default$/, '')
+      if (
+        attributeName !== key &&
+        !attributeValues.hasOwnProperty(attributeName)
+      ) {
+        let value = definitionAttributes[key]
+        let attributeType = definitionAttributes[attributeName + '$type']
+        attributes[attributeName] =
+          convertTypes && attributeType && typeof value === 'string'
+            ? _convertFromXsdType(attributeType, value, options)
+            : value
+      }
+    })
+
     // Handle attributes
     if (Object.keys(attributes).length > 0) {
       if (inlineAttributes) {
@@ -239,10 +502,55 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
       orders[names.length].push(name)
     }
 
+    let parentPath = paths.length > 0 ? paths[paths.length - 1] + '.' : ''
+    if (Array.isArray(currentObject[name])) {
+      let index =
+        currentObject[name].length -
+        1 +
+        (streamedCounts.get(currentObject) || 0)
+      paths.push(`${parentPath}${name}[${index}]`)
+    } else {
+      paths.push(parentPath + name)
+    }
+
+    if (validation) {
+      validationErrors.push(
+        ...validateAttributes(
+          attributeValues,
+          definitionAttributes,
+          paths[paths.length - 1],
+          true
+        )
+      )
+    }
+
+    let elementDefinition = definition[name] || {}
+    if (
+      definition === anyDefinition ||
+      ['any', 'anyType', 'xml'].includes(itemType(currentType))
+    ) {
+      elementDefinition = anyDefinition
+    } else if (checkUnknownElements && !_isDefinedElement(definition, name)) {
+      let path = paths[paths.length - 1]
+      validationErrors.push(
+        new ValidationError(`Found unknown element ${path}`, null, { path })
+      )
+      elementDefinition = anyDefinition
+    }
+
     names.push(name)
     objects.push(currentObject)
-    definitions.push(definition[name] || {})
+    definitions.push(resolveDefinition(elementDefinition, types))
+    definitionDefaultNamespaces.push(defaultNamespace)
     currentObject = nextObject
+
+    if (definition[name + '$mixed']) {
+      mixedFrames.push({ name, attributes: {}, nodes: [] })
+    }
+  })
+
+  parser.on('startCdata', function() {
+    currentCdata = true
   })
 
   parser.on('text', function(data) {
@@ -250,32 +558,103 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
   })
 
   parser.on('endElement', function(name) {
-    let ns = name.split(':')
-    if (ns.length > 1) {
-      name = ns[1]
-      ns = ns[0]
+    let mixedContent = null
+    if (mixedFrames.length > 0) {
+      _addMixedText(mixedFrames, currentValue)
+      let frame = mixedFrames.pop()
+      if (mixedFrames.length > 0) {
+        mixedFrames[mixedFrames.length - 1].nodes.push({
+          [frame.name]: _mixedNodeValue(frame)
+        })
+        currentValue = ''
+        return
+      }
+
+      // Leave elements with only text to the normal type conversion
+      if (frame.nodes.some(node => typeof node !== 'string')) {
+        mixedContent = frame.nodes
+        currentValue = ''
+      } else {
+        currentValue = frame.nodes.join('')
+      }
     }
 
+    namespaceScopes.pop()
+    definitionDefaultNamespaces.pop()
+    let xmlSpace = xmlSpaceScopes.pop()
     if (objects.length > 0) {
+      name = names[names.length - 1]
       currentObject = objects.pop()
-      definitions.pop()
+      let elementDefinition = definitions.pop()
+      let parentDefinition = definitions[definitions.length - 1]
+      // The type of the last child is left in currentType by its elements
+      currentType = parentDefinition[name + '$type']
+      if (!mixedContent) {
+        currentValue = _normalizeText(
+          currentValue,
+          parentDefinition,
+          name,
+          xmlSpace === 'preserve' ? 'preserve' : options.whiteSpace
+        )
+      }
 
       if (names.length < orders.length) {
         let order = orders.pop()
         if (order.length > 1) {
-          let definedOrder =
-            definitions[definitions.length - 1][name + '$order']
+          let definedOrder = parentDefinition[name + '$order']
           if (!_compareArray(definedOrder, order)) {
             currentObject[name + '$order'] = order
           }
         }
       }
       names.pop()
+      let path = paths.pop()
+
+      // Ancestors of streamed elements no longer hold their children
+      let isStreamAncestor =
+        elementPath && names.length + 1 < elementPath.length
+      if (validation && !isStreamAncestor) {
+        let value = Array.isArray(currentObject[name])
+          ? currentObject[name][currentObject[name].length - 1]
+          : currentObject[name]
+        validationErrors.push(
+          ...validateOccurrences(value, elementDefinition, path),
+          ...validateChoices(
+            value,
+            definitions[definitions.length - 1][name + '$choice'],
+            path,
+            elementDefinition
+          )
+        )
+      }
 
-      if (Array.isArray(currentObject[name])) {
+      if (validation && _isValueElement(currentObject[name], currentValue)) {
+        let error = validateXmlType(
+          currentValue,
+          parentDefinition[name + '$type'],
+          parentDefinition[name + '$length'],
+          path,
+          true,
+          definitionFacets(parentDefinition, name)
+        )
+        if (error) {
+          validationErrors.push(error)
+        }
+      }
+
+      if (mixedContent) {
+        let elementObject = Array.isArray(currentObject[name])
+          ? currentObject[name][currentObject[name].length - 1]
+          : currentObject[name]
+        elementObject['content$'] = mixedContent
+      } else if (Array.isArray(currentObject[name])) {
         let convertedValue = currentValue
         if (convertTypes) {
-          convertedValue = _convertFromXsdType(currentType, currentValue)
+          convertedValue = _convertFromXsdType(
+            currentType,
+            currentValue,
+            options
+          )
         }
 
         if (
@@ -284,15 +663,19 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
           ).length === 0
         ) {
           currentObject[name][currentObject[name].length - 1] = convertedValue
-        } else {
+        } else if (currentValue.trim() != '') {
           currentObject[name][currentObject[name].length - 1].$ = convertedValue
-          // TODO: Save "<tag>text<subtag>" type text
+          // Text between child elements is only kept for $mixed elements
         }
       } else if (typeof currentObject[name] === 'object') {
         if (Object.getOwnPropertyNames(currentObject[name]).length === 0) {
           // Move to utility function
           if (convertTypes) {
-            currentObject[name] = _convertFromXsdType(currentType, currentValue)
+            currentObject[name] = _convertFromXsdType(
+              currentType,
+              currentValue,
+              options
+            )
           } else {
             currentObject[name] = currentValue // TODO: Handle inline attributes
           }
@@ -300,29 +683,155 @@ function _fromXml(xml, objectDefinition, inlineAttributes, convertTypes) {
           if (convertTypes) {
             currentObject[name].$ = _convertFromXsdType(
               currentType,
-              currentValue
+              currentValue,
+              options
             )
           } else {
             currentObject[name].$ = currentValue
           }
-          // TODO: Save "<tag>text<subtag>" type text
+          // Text between child elements is only kept for $mixed elements
+        }
+      }
+
+      // Mark values that came from CDATA sections so toXml can reproduce them
+      if (cdata && currentCdata) {
+        let isArray =
+          Array.isArray(currentObject[name]) &&
+          !isListValue(currentObject[name], currentType)
+        let value = isArray
+          ? currentObject[name][currentObject[name].length - 1]
+          : currentObject[name]
+        if (getType(value) === 'object') {
+          value['cdata$'] = true
+        } else if (isArray) {
+          currentObject[name][currentObject[name].length - 1] = {
+            $: value,
+            cdata$: true
+          }
+        } else {
+          currentObject[name] = { $: value, cdata$: true }
         }
       }
+
+      if (
+        elementPath &&
+        names.length === elementPath.length - 1 &&
+        name === elementPath[names.length] &&
+        names.every((parentName, i) => parentName === elementPath[i])
+      ) {
+        let value = Array.isArray(currentObject[name])
+          ? currentObject[name].pop()
+          : currentObject[name]
+        currentObject[name] = []
+        streamedCounts.set(
+          currentObject,
+          (streamedCounts.get(currentObject) || 0) + 1
+        )
+        onElement(value)
+      }
     } else {
       console.log('No objects in objects')
     }
 
     currentValue = ''
+    currentCdata = false
   })
 
-  if (!parser.parse(xml)) {
-    throw new Error('There are errors in your xml file: ' + parser.getError())
+  return { parser, result, validationErrors }
+}
+
+// Applies the $whiteSpace of the element or attribute name, also inside
+// xml:space="preserve", string types without one get the whiteSpace given and
+// other types handle whitespace when they are converted
+function _normalizeText(text, definition, name, whiteSpace) {
+  let mode = definition[name + '$whiteSpace']
+  let xsdType = itemType(definition[name + '$type'])
+  if (
+    !mode &&
+    (!xsdType || ['string', 'string?', 'anySimpleType'].includes(xsdType))
+  ) {
+    mode = whiteSpace
   }
+  return normalizeWhiteSpace(text, mode)
+}
 
-  return result
+function _addMixedText(mixedFrames, text) {
+  if (text !== '') {
+    mixedFrames[mixedFrames.length - 1].nodes.push(text)
+  }
+}
+
+// Text only elements become strings, elements with child elements get the
+// ordered list of text and elements in content$
+function _mixedNodeValue(frame) {
+  let hasElements = frame.nodes.some(node => typeof node !== 'string')
+  let attributeNames = Object.keys(frame.attributes)
+  if (!hasElements && attributeNames.length === 0) {
+    return frame.nodes.join('')
+  }
+
+  let value = {}
+  attributeNames.forEach(key => {
+    value['$' + key] = frame.attributes[key]
+  })
+  if (hasElements) {
+    value['content$'] = frame.nodes
+  } else if (frame.nodes.length > 0) {
+    value.$ = frame.nodes.join('')
+  }
+  return value
+}
+
+function _throwValidationErrors(validationErrors, validation) {
+  if (validation === 'all') {
+    throwValidationErrors(validationErrors)
+  } else if (validationErrors.length > 0) {
+    throw validationErrors[0]
+  }
+}
+
+function _isDefinedElement(definition, name) {
+  return Object.keys(definition).some(key => {
+    let keyName = key.split('$')[0]
+    return keyName === name || keyName.replace(/^[^:]+:/, '') === name
+  })
+}
+
+// Elements are matched by namespace url to prefixed definition keys, so the
+// prefix used in the document does not matter and equal local names in
+// different namespaces get their own key
+function _resolveElementName(
+  definition,
+  localName,
+  nsUrl,
+  definitionNamespaces
+) {
+  if (nsUrl) {
+    for (let key of Object.keys(definition)) {
+      let keyName = key.split('$')[0]
+      let prefix = namespacePrefix(keyName)
+      if (
+        prefix &&
+        keyName === `${prefix}:${localName}` &&
+        definitionNamespaces[prefix] === nsUrl
+      ) {
+        return keyName
+      }
+    }
+  }
+  return localName
+}
+
+// Elements without children or with text next to the children hold a value
+function _isValueElement(value, text) {
+  let lastValue = Array.isArray(value) ? value[value.length - 1] : value
+  let childNames = Object.getOwnPropertyNames(lastValue).filter(
+    key => key.indexOf('$') === -1
+  )
+  return childNames.length === 0 || text.trim() !== ''
 }
 
-function _convertFromXsdType(type, value) {
+function _convertFromXsdType(type, value, options = {}) {
   if (Array.isArray(type)) {
     type = type[0]
   }
@@ -335,10 +844,40 @@ function _convertFromXsdType(type, value) {
     }
   }
 
-  if (type === 'boolean') {
-    return value === 'true'
+  let custom = customType(type)
+  let members = unionMemberTypes(type)
+  if (custom) {
+    return custom.parse(value, options)
+  } else if (members) {
+    // Converted as the first member type the text is valid for
+    let member = members.find(
+      member => validateXmlType(value, member, null, '', true) === null
+    )
+    return member ? _convertFromXsdType(member, value, options) : value
+  } else if (listItemType(type)) {
+    return value
+      .split(/\s+/)
+      .filter(item => item !== '')
+      .map(item => _convertFromXsdType(listItemType(type), item, options))
+  } else if (type === 'normalizedString') {
+    return value.replace(/[\t\n\r]/g, ' ')
+  } else if (collapsedStringTypes.includes(type)) {
+    return value.replace(/\s+/g, ' ').trim()
+  } else if (type === 'boolean') {
+    return ['true', '1'].includes(value.trim())
+  } else if (type === 'decimal' && options.decimal === 'string') {
+    return value.trim()
+  } else if (type === 'decimal' && typeof options.decimal === 'function') {
+    return options.decimal(value.trim())
+  } else if (
+    ['double', 'float'].includes(type) &&
+    /^\s*-?INF\s*$/.test(value)
+  ) {
+    return value.includes('-') ? -Infinity : Infinity
   } else if (['decimal', 'double', 'float'].indexOf(type) > -1) {
     return parseFloat(value)
+  } else if (options.bigInt && bigIntTypes.includes(type)) {
+    return /^\s*[+-]?\d+\s*$/.test(value) ? BigInt(value.trim()) : NaN
   } else if (
     [
       'byte',
@@ -348,6 +887,7 @@ function _convertFromXsdType(type, value) {
       'negativeInteger',
       'nonNegativeInteger',
       'nonPositiveInteger',
+      'positiveInteger',
       'short',
       'unsignedByte',
       'unsignedInt',
@@ -360,69 +900,13 @@ function _convertFromXsdType(type, value) {
     return Buffer.from(value, 'base64')
   } else if (type === 'hexBinary') {
     return Buffer.from(value, 'hex')
+  } else if (dateTimeTypes.includes(type)) {
+    return parseXsdDateTime(type, value)
   } else {
     return value
   }
 }
 
-function _xsdTypeLookup(type) {
-  // http://www.xml.dvint.com/docs/SchemaDataTypesQR-2.pdf
-  switch (type) {
-    case 'boolean':
-      return 'boolean'
-    case 'base64Binary':
-      return 'string'
-    case 'hexBinary':
-      return 'string'
-    case 'anyURI':
-      return 'string'
-    case 'language':
-      return 'string'
-    case 'normalizedString':
-      return 'string'
-    case 'string':
-      return 'string'
-    case 'token':
-      return 'string'
-    case 'byte':
-      return 'number'
-    case 'decimal':
-      return 'number'
-    case 'double':
-      return 'number'
-    case 'float':
-      return 'number'
-    case 'int':
-      return 'number'
-    case 'integer':
-      return 'number'
-    case 'long':
-      return 'number'
-    case 'negativeInteger':
-      return 'number'
-    case 'nonNegativeInteger':
-      return 'number'
-    case 'nonPositiveInteger':
-      return 'number'
-    case 'short':
-      return 'number'
-    case 'unsignedByte':
-      return 'number'
-    case 'unsignedInt':
-      return 'number'
-    case 'unsignedLong':
-      return 'number'
-    case 'unsignedShort':
-      return 'number'
-    case 'empty':
-      return 'empty'
-    case 'any':
-      return 'any'
-    default:
-      throw new Error("Unknown XSD type '" + type + "'")
-  }
-}
-
 function _generateDefinitionXml(obj, options) {
   let definition = {}
 
@@ -481,8 +965,7 @@ function _generateDefinitionXml(obj, options) {
 }
 
 // http://www.w3schools.com/xml/schema_elements_ref.asp
-function _generateDefinitionXsd(schema, namespaces) {
-  // TODO: Read namespaces from all levels
+function _generateDefinitionXsd(schema, namespaces, options) {
   // Make reverse lookup possible
   let namespaceToAlias = {
     'http://www.w3.org/2001/XMLSchema': 'xmlns:xsd'
@@ -491,8 +974,6 @@ function _generateDefinitionXsd(schema, namespaces) {
     namespaceToAlias[namespaces[key]] = key
   })
 
-  // Build type lookup cache
-  let typeLookupMap = {}
   let targetNamespace = schema.$targetNamespace
     ? schema.$targetNamespace
     : 'http://www.w3.org/2001/XMLSchema'
@@ -502,140 +983,330 @@ function _generateDefinitionXsd(schema, namespaces) {
       "Unable to find alias for target namespace: '" + targetNamespace + "'"
     )
   }
-  ;['simpleType', 'complexType', 'element'].forEach(function(xsdType) {
-    ;(schema[xsdType] || []).forEach(type => {
-      let name = type.$name
-      // types and elements don't share symbol spaces
-      typeLookupMap[
-        (xsdType === 'element' ? '' : '#') + targetNamespaceAlias + ':' + name
-      ] = type
-      typeLookupMap[
-        (xsdType === 'element' ? '' : '#') +
-          targetNamespaceAlias +
-          ':' +
-          name +
-          '$xsdType'
-      ] = xsdType
+
+  // Build one type lookup cache for the schema and the schemas it includes,
+  // imports or redefines
+  let documents = _loadXsdDocuments(schema, targetNamespace, options)
+  let typeLookupMap = {}
+  documents.forEach(function(document) {
+    document.namespaces = _extractAndAddNamespaces(document.schema, namespaces)
+    _addXsdComponents(typeLookupMap, document.schema, document)
+  })
+  documents.forEach(function(document) {
+    ;[].concat(document.schema.redefine || []).forEach(function(redefine) {
+      _redefineXsdComponents(typeLookupMap, redefine, document)
     })
   })
 
   // Get definitions for all the elements
   let result = {}
 
-  let elementFormQualified = schema.$elementFormDefault === 'qualified'
-  let attributeFormQualified = schema.attributeFormDefault === 'qualified' // TODO: implement
-  let schemaNamespaces = _extractAndAddNamespaces(schema, namespaces)
-  schema.element.forEach(element => {
-    let elementNamespaces = _extractAndAddNamespaces(schema, schemaNamespaces)
+  // Named complexTypes are referenced by name in the types registry, the name
+  // is prefixed when types in other namespaces have the same name
+  let complexTypes = Object.keys(typeLookupMap)
+    .map(key => typeLookupMap[key])
+    .filter(component => component.xsdType === 'complexType')
+  complexTypes.forEach(function(component) {
+    let name = component.name
+    let prefix = Object.keys(component.document.namespaces).find(
+      key =>
+        key.startsWith('xmlns:') &&
+        component.document.namespaces[key] ===
+          component.document.targetNamespace
+    )
+    component.typeName =
+      prefix &&
+      complexTypes.some(other => other !== component && other.name === name)
+        ? prefix.replace(/^xmlns:/, '') + ':' + name
+        : name
+    component.named = !!options.namedTypes
+  })
 
-    // Save namespaces
-    result[element.$name + '$attributes'] = {}
-    Object.keys(elementNamespaces).forEach(function(key) {
-      if (!['xmlns:tns', 'xmlns:soap', 'xmlns:xs'].includes(key)) {
-        result[element.$name + '$attributes'][key] = elementNamespaces[key]
+  // Namespaces declared in any of the documents can be used by the elements
+  let allNamespaces = {}
+  documents.forEach(function(document) {
+    Object.keys(document.namespaces).forEach(function(key) {
+      if (!allNamespaces.hasOwnProperty(key)) {
+        allNamespaces[key] = document.namespaces[key]
       }
     })
+  })
 
-    if (Object.keys(result[element.$name + '$attributes']).length == 0) {
-      delete result[element.$name + '$attributes']
-    }
+  // The elements of included schemas belong to the same schema
+  let rootDocuments = documents.filter(document => document.included)
+  rootDocuments.forEach(function(document) {
+    ;[].concat(document.schema.element || []).forEach(element => {
+      // Save namespaces
+      result[element.$name + '$attributes'] = {}
+      Object.keys(allNamespaces).forEach(function(key) {
+        if (!['xmlns:tns', 'xmlns:soap', 'xmlns:xs'].includes(key)) {
+          result[element.$name + '$attributes'][key] = allNamespaces[key]
+        }
+      })
 
-    // Generate definition for element and copy it to result
-    let definition = _elementToDefinition(
-      'element',
-      element,
-      targetNamespace,
-      elementFormQualified,
-      attributeFormQualified,
-      typeLookupMap,
-      elementNamespaces
-    )
-    Object.keys(definition).forEach(function(key) {
-      result[key] = definition[key]
-      if (!elementFormQualified) {
+      // Generate definition for element and copy it to result
+      let definition = _elementToDefinition(
+        'element',
+        element,
+        document.targetNamespace,
+        document.elementFormQualified,
+        document.attributeFormQualified,
+        typeLookupMap,
+        document.namespaces
+      )
+      Object.keys(definition).forEach(function(key) {
+        if (key === element.$name + '$attributes') {
+          Object.assign(result[key], definition[key])
+          return
+        }
+        result[key] = definition[key]
+      })
+      if (!document.elementFormQualified) {
         // TODO: sent on root object so we can extract it later
         // Set namespace on root elements if the elementForm == Unqualified
-        result[key + '$namespace'] = namespaceToAlias[targetNamespace].replace(
-          /^xmlns:/,
-          ''
-        )
+        result[element.$name + '$namespace'] = namespaceToAlias[
+          document.targetNamespace
+        ].replace(/^xmlns:/, '')
       }
-    })
 
-    /// TODO: Optimize namespaces so we only include the needed ones, by look at the returned definition
+      // Only keep the namespaces the element definition uses
+      let usedPrefixes = definitionNamespacePrefixes(
+        element.$name,
+        result,
+        _xsdDefinitionTypes(typeLookupMap)
+      )
+      let attributes = result[element.$name + '$attributes']
+      Object.keys(attributes).forEach(function(key) {
+        let ns = key.match(/^xmlns:(.+)$/)
+        if (ns && !usedPrefixes.has(ns[1])) {
+          delete attributes[key]
+        }
+      })
+      if (Object.keys(attributes).length == 0) {
+        delete result[element.$name + '$attributes']
+      }
+    })
   })
 
+  let types = _xsdDefinitionTypes(typeLookupMap)
+  if (Object.keys(types).length > 0) {
+    result['$types'] = types
+  }
   return result
 }
 
-function _extractAndAddNamespaces(element, originalNamespaces) {
-  let namespaces = originalNamespaces
-    ? Object.assign({}, originalNamespaces)
-    : {}
-  Object.keys(element).forEach(function(key) {
-    let ns = key.match(/^\$(xmlns:.+)$/)
-    if (ns) {
-      namespaces[ns[1]] = element[key]
-    }
-  })
-  return namespaces
-}
-
-function _elementToDefinition(
-  xsdType,
-  element,
-  targetNamespace,
-  elementFormQualified,
-  attributeFormQualified,
-  typeLookupMap,
-  namespaces
-) {
-  // TODO: Find out if a namespace shadows another one higher up
-  let elementNamespaces = _extractAndAddNamespaces(element, namespaces)
+// Returns the schema and the schemas it references with xs:include, xs:import
+// and xs:redefine, the referenced schemas are found by schemaLocation in
+// options.schemas or returned by options.resolveSchema(location, namespace)
+function _loadXsdDocuments(schema, targetNamespace, options) {
+  let documents = []
+  let loaded = new Set()
+
+  let load = function(schema, location, targetNamespace, included) {
+    documents.push({
+      schema,
+      location,
+      targetNamespace,
+      included,
+      elementFormQualified: schema.$elementFormDefault === 'qualified',
+      attributeFormQualified: schema.$attributeFormDefault === 'qualified'
+    })
 
-  // Make reverse lookup possible
-  let namespaceToAlias = {}
-  Object.keys(elementNamespaces).forEach(function(key) {
-    namespaceToAlias[elementNamespaces[key]] = key
-  })
+    let references = []
+    ;[].concat(schema.include || [], schema.redefine || []).forEach(ref => {
+      references.push({ ref, namespace: targetNamespace, included })
+    })
+    ;[].concat(schema.import || []).forEach(ref => {
+      references.push({ ref, namespace: ref.$namespace || '', included: false })
+    })
+    references.forEach(function(reference) {
+      let schemaLocation = reference.ref.$schemaLocation
+        ? _resolveSchemaLocation(reference.ref.$schemaLocation, location)
+        : undefined
+      let key = schemaLocation || reference.namespace
+      if (loaded.has(key)) {
+        return
+      }
+      loaded.add(key)
 
-  let result = {}
-  let subResult
-  let type
-  let maxLength = 0
-  let minLength = 0
+      let xsd
+      if (options.schemas && options.schemas.hasOwnProperty(schemaLocation)) {
+        xsd = options.schemas[schemaLocation]
+      } else if (options.resolveSchema) {
+        xsd = options.resolveSchema(schemaLocation, reference.namespace)
+      }
+      if (xsd === undefined || xsd === null) {
+        if (reference.ref.hasOwnProperty('$namespace')) {
+          return // The location of an import is only a hint
+        }
+        throw new Error("Could not find schema '" + schemaLocation + "'")
+      }
+
+      let referencedSchema = typeof xsd === 'string' ? _parseXsd(xsd) : xsd
+      load(
+        referencedSchema,
+        schemaLocation,
+        // Included schemas without a target namespace take the one of the includer
+        referencedSchema.$targetNamespace || reference.namespace,
+        reference.included
+      )
+    })
+  }
+
+  if (options.schemaLocation) {
+    loaded.add(options.schemaLocation)
+  }
+  load(schema, options.schemaLocation, targetNamespace, true)
+  return documents
+}
+
+function _resolveSchemaLocation(location, baseLocation) {
+  if (!baseLocation || /^([a-z][a-z0-9+.-]*:|\/)/i.test(location)) {
+    return location
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(baseLocation)) {
+    return new URL(location, baseLocation).href
+  }
+  return path.posix.join(path.posix.dirname(baseLocation), location)
+}
+
+// Adds the global components of a schema to the type lookup map by namespace
+// url and name
+function _addXsdComponents(typeLookupMap, schema, document) {
+  Object.keys(xsdSymbolSpaces).forEach(function(xsdType) {
+    ;[].concat(schema[xsdType] || []).forEach(function(node) {
+      let name = node.$name
+      let key = _xsdLookupKey(xsdType, document.targetNamespace, name)
+      typeLookupMap[key] = { node, xsdType, document, name }
+    })
+  })
+}
+
+// Replaces components with the ones from xs:redefine, the original components
+// are kept under a new name the redefinitions refer to instead of themselves
+function _redefineXsdComponents(typeLookupMap, redefine, document) {
+  Object.keys(xsdSymbolSpaces).forEach(function(xsdType) {
+    ;[].concat(redefine[xsdType] || []).forEach(function(node) {
+      let name = node.$name
+      let key = _xsdLookupKey(xsdType, document.targetNamespace, name)
+      let original = typeLookupMap[key]
+      if (original) {
+        original.name = name + '#redefined'
+        typeLookupMap[
+          _xsdLookupKey(xsdType, document.targetNamespace, original.name)
+        ] = original
+      }
+
+      let isGroup = ['group', 'attributeGroup'].includes(xsdType)
+      _renameXsdReferences(
+        node,
+        isGroup ? '$ref' : '$base',
+        isGroup ? xsdType : null,
+        { ns: document.targetNamespace, name },
+        document.namespaces
+      )
+      typeLookupMap[key] = { node, xsdType, document, name }
+    })
+  })
+}
+
+// Appends #redefined to the property of node and its descendants with the
+// name nodeName, or all descendants when nodeName is null, if it refers to target
+function _renameXsdReferences(
+  node,
+  property,
+  nodeName,
+  target,
+  namespaces,
+  matches = !nodeName
+) {
+  if (matches && typeof node[property] === 'string') {
+    let reference = _namespaceLookup(node[property], namespaces)
+    if (reference.ns === target.ns && reference.name === target.name) {
+      node[property] += '#redefined'
+    }
+  }
+  Object.keys(node).forEach(function(key) {
+    if (key === 'children$') {
+      return // Same nodes as the properties
+    }
+    ;[].concat(node[key]).forEach(function(value) {
+      if (getType(value) === 'object') {
+        _renameXsdReferences(
+          value,
+          property,
+          nodeName,
+          target,
+          namespaces,
+          !nodeName || key === nodeName
+        )
+      }
+    })
+  })
+}
+
+function _xsdLookupKey(xsdType, ns, name) {
+  return xsdSymbolSpaces[xsdType] + '{' + ns + '}' + name
+}
+
+// Returns { node, xsdType, document } for the global component a qualified
+// name refers to or undefined
+function _xsdLookup(typeLookupMap, xsdType, qname, namespaces) {
+  let reference = _namespaceLookup(qname, namespaces)
+  return typeLookupMap[_xsdLookupKey(xsdType, reference.ns, reference.name)]
+}
+
+function _extractAndAddNamespaces(element, originalNamespaces) {
+  let namespaces = originalNamespaces
+    ? Object.assign({}, originalNamespaces)
+    : {}
+  Object.keys(element).forEach(function(key) {
+    let ns = key.match(/^\$(xmlns:.+)$/)
+    if (ns) {
+      namespaces[ns[1]] = element[key]
+    }
+  })
+  return namespaces
+}
+
+function _elementToDefinition(
+  xsdType,
+  element,
+  targetNamespace,
+  elementFormQualified,
+  attributeFormQualified,
+  typeLookupMap,
+  namespaces
+) {
+  // TODO: Find out if a namespace shadows another one higher up
+  let elementNamespaces = _extractAndAddNamespaces(element, namespaces)
+
+  // Make reverse lookup possible
+  let namespaceToAlias = {}
+  Object.keys(elementNamespaces).forEach(function(key) {
+    namespaceToAlias[elementNamespaces[key]] = key
+  })
+
+  let result = {}
+  let subResult
+  let type
+  let facets = {}
 
   if (xsdType === 'element') {
     // Extract type
     if (element.$type) {
       type = element.$type
     } else if (element.simpleType) {
-      if (element.simpleType.restriction) {
-        type = element.simpleType.restriction.$base
-
-        if (element.simpleType.restriction.length) {
-          maxLength = parseInt(element.simpleType.restriction.length.$value)
-          minLength = parseInt(element.simpleType.restriction.length.$value)
-        } else {
-          if (element.simpleType.restriction.maxLength) {
-            maxLength = parseInt(
-              element.simpleType.restriction.maxLength.$value
-            )
-          }
-          if (element.simpleType.restriction.minLength) {
-            minLength = parseInt(
-              element.simpleType.restriction.minLength.$value
-            )
-          }
-        }
-      } else if (element.simpleType.list) {
-        type = element.simpleType.list.$itemType
-      } else {
-        throw new Error('Unknown simpleType structure')
-      }
+      type = element.simpleType
     } else if (
       element.complexType &&
-      (element.complexType.all || element.complexType.sequence)
+      (element.complexType.all ||
+        element.complexType.sequence ||
+        element.complexType.choice ||
+        element.complexType.group ||
+        element.complexType.complexContent ||
+        element.complexType.simpleContent ||
+        element.complexType.attribute ||
+        element.complexType.attributeGroup)
     ) {
       type = 'object'
       subResult = _elementToDefinition(
@@ -658,78 +1329,34 @@ function _elementToDefinition(
     }
 
     if (!['object', 'any', 'empty'].includes(type)) {
-      for (let i = 0; i <= 3; i++) {
-        if (i === 3) {
-          throw new Error('Type reference nested more than 3 levels')
-        }
-
-        // Resolve type namespace
-        let typeNamespace = _namespaceLookup(type, elementNamespaces)
-
-        if (typeNamespace.ns === 'http://www.w3.org/2001/XMLSchema') {
-          result[element.$name + '$type'] = typeNamespace.name
-          break
-        } else {
-          // Look up type if it's not a xsd native type
-          let subElement = typeLookupMap['#' + 'xmlns:' + type]
-          let subXsdType = typeLookupMap['#' + 'xmlns:' + type + '$xsdType']
-          if (subElement) {
-            if (subXsdType === 'complexType' || subXsdType === 'element') {
-              subResult = _elementToDefinition(
-                subXsdType,
-                subElement,
-                targetNamespace,
-                elementFormQualified,
-                attributeFormQualified,
-                typeLookupMap,
-                elementNamespaces
-              )
-              break
-            } else if (subXsdType === 'simpleType') {
-              if (subElement.restriction) {
-                type = subElement.restriction.$base
-
-                if (subElement.restriction.length) {
-                  maxLength = parseInt(subElement.restriction.length.$value, 10)
-                  minLength = maxLength
-                } else {
-                  if (subElement.restriction.maxLength) {
-                    maxLength = parseInt(
-                      subElement.restriction.maxLength.$value,
-                      10
-                    )
-                  }
-                  if (subElement.restriction.minLength) {
-                    minLength = parseInt(
-                      subElement.restriction.minLength.$value,
-                      10
-                    )
-                  }
-                }
-              } else if (subElement.list) {
-                type = subElement.list.$itemType
-              } else {
-                throw new Error('Unknown simpleType structure')
-              }
-            } else {
-              throw new Error("Unknown XSD type '" + subXsdType)
-            }
-          } else {
-            throw new Error(
-              "Could not find type '" +
-                typeNamespace.name +
-                "' in namespace '" +
-                typeNamespace.ns +
-                "'"
-            )
-          }
-        }
+      let component =
+        typeof type === 'string' &&
+        _xsdLookup(typeLookupMap, 'complexType', type, elementNamespaces)
+      if (component && component.xsdType === 'complexType') {
+        subResult = _namedComplexTypeToDefinition(component, typeLookupMap)
+      } else {
+        let baseType = _resolveSimpleType(
+          type,
+          typeLookupMap,
+          elementNamespaces,
+          facets
+        )
+        result[element.$name + '$type'] = baseType
+        let facetDefinition = _xsdFacetsToDefinition(facets, baseType)
+        Object.keys(facetDefinition).forEach(function(key) {
+          result[element.$name + key] = facetDefinition[key]
+        })
       }
     }
 
     if (subResult) {
-      if (subResult.$type) {
-        result[element.$name + '$type'] = subResult.$type
+      if (subResult.$ref) {
+        result[element.$name + '$ref'] = subResult.$ref
+      } else if (subResult.$type) {
+        // Simple content with attributes and facets
+        Object.keys(subResult).forEach(function(key) {
+          result[element.$name + key] = subResult[key]
+        })
       } else {
         result[element.$name] = {}
         Object.keys(subResult).forEach(function(key) {
@@ -751,12 +1378,10 @@ function _elementToDefinition(
       ].replace(/^xmlns:/, '')
     }
 
-    let maxOccurs = parseInt(
+    let maxOccurs =
       element.$maxOccurs === 'unbounded'
         ? Number.MAX_VALUE
-        : element.$maxOccurs || 0,
-      10
-    )
+        : parseInt(element.$maxOccurs || 0, 10)
     let minOccurs = parseInt(element.$minOccurs || 0, 10)
 
     // Check if this type is an array
@@ -767,32 +1392,258 @@ function _elementToDefinition(
         maxOccurs
       ]
     }
-
-    if (maxLength > 0) {
-      result[element.$name + '$length'] = [minLength, maxLength]
-    }
   } else if (xsdType === 'complexType') {
-    let elements
-    if (element.all) {
-      elements = element.all.element
-    } else if (element.sequence) {
-      if (element.sequence.element) {
-        elements = element.sequence.element
-      } else if (element.sequence.hasOwnProperty('any')) {
-        elements = []
-        result['$type'] = 'any'
-      } else {
-        throw new Error('Unknown complexType sequence structure')
+    let compositor = ['sequence', 'all', 'choice', 'group'].find(name =>
+      element.hasOwnProperty(name)
+    )
+    if (
+      compositor ||
+      element.complexContent ||
+      element.attribute ||
+      element.attributeGroup
+    ) {
+      let particles = _complexContentToDefinition(
+        element,
+        targetNamespace,
+        elementFormQualified,
+        attributeFormQualified,
+        typeLookupMap,
+        namespaces,
+        result
+      )
+      if (particles.ordered) {
+        result['$order'] = particles.names
       }
-
-      result['$order'] = []
+      if (!compositor && particles.names.length === 0) {
+        result['$type'] = result['$type'] || 'empty'
+      }
+    } else if (element.simpleContent) {
+      // Text content with attributes
+      Object.assign(
+        result,
+        _simpleContentToDefinition(
+          element.simpleContent,
+          targetNamespace,
+          elementFormQualified,
+          attributeFormQualified,
+          typeLookupMap,
+          namespaces
+        )
+      )
     } else {
       return // TODO: Handle this a bit better
       //throw new Error("Unknown complexType structure");
     }
+  }
+
+  return result
+}
+
+// Returns the definition of a named complexType, types used by their own
+// elements or all types with the namedTypes option are added to the types
+// registry and referenced with $ref instead
+function _namedComplexTypeToDefinition(component, typeLookupMap) {
+  if (component.definition) {
+    return { $ref: component.typeName }
+  } else if (component.converting) {
+    component.recursive = true
+    return { $ref: component.typeName }
+  }
+
+  component.converting = true
+  let definition = _elementToDefinition(
+    'complexType',
+    component.node,
+    component.document.targetNamespace,
+    component.document.elementFormQualified,
+    component.document.attributeFormQualified,
+    typeLookupMap,
+    component.document.namespaces
+  )
+  component.converting = false
+  if (component.recursive || component.named) {
+    component.definition = definition
+    return { $ref: component.typeName }
+  }
+  return definition
+}
+
+// Returns the types registry with the complexTypes referenced by $ref
+function _xsdDefinitionTypes(typeLookupMap) {
+  let types = {}
+  Object.keys(typeLookupMap).forEach(function(key) {
+    let component = typeLookupMap[key]
+    if (component.definition) {
+      types[component.typeName] = component.definition
+    }
+  })
+  return types
+}
+
+// Adds the elements and attributes of a complexType to result, for a
+// complexContent extension the ones of the base type come first and a
+// restriction only inherits the attributes of the base type. Returns the
+// element names like _compositorToDefinition.
+function _complexContentToDefinition(
+  element,
+  targetNamespace,
+  elementFormQualified,
+  attributeFormQualified,
+  typeLookupMap,
+  namespaces,
+  result
+) {
+  let names = []
+  let ordered = false
+  let derivation = element
+  if (element.complexContent) {
+    let complexContent = element.complexContent
+    derivation = complexContent.extension || complexContent.restriction
+    if (!derivation) {
+      throw new Error('Unknown complexContent structure')
+    }
+
+    let base = derivation.$base
+    let baseNamespace = _namespaceLookup(base, namespaces)
+    let baseType = _xsdLookup(typeLookupMap, 'complexType', base, namespaces)
+    if (baseNamespace.ns === 'http://www.w3.org/2001/XMLSchema') {
+      // Derived from xs:anyType so there is nothing to inherit
+    } else if (!baseType || baseType.xsdType !== 'complexType') {
+      throw new Error(
+        "Could not find complexType '" +
+          baseNamespace.name +
+          "' in namespace '" +
+          baseNamespace.ns +
+          "'"
+      )
+    } else {
+      let baseResult = complexContent.extension ? result : {}
+      let particles = _complexContentToDefinition(
+        baseType.node,
+        baseType.document.targetNamespace,
+        baseType.document.elementFormQualified,
+        baseType.document.attributeFormQualified,
+        typeLookupMap,
+        baseType.document.namespaces,
+        baseResult
+      )
+      if (complexContent.extension) {
+        names = particles.names
+        ordered = particles.ordered
+      } else if (baseResult.$attributes) {
+        result['$attributes'] = baseResult.$attributes
+      }
+    }
+  }
+
+  let compositor = ['sequence', 'all', 'choice', 'group'].find(name =>
+    derivation.hasOwnProperty(name)
+  )
+  if (compositor) {
+    let particles = _compositorToDefinition(
+      compositor,
+      derivation[compositor],
+      [1, 1],
+      targetNamespace,
+      elementFormQualified,
+      attributeFormQualified,
+      typeLookupMap,
+      namespaces,
+      result
+    )
+    // The extension is appended to the content of the base type
+    ordered =
+      ordered ||
+      particles.ordered ||
+      (names.length > 0 && particles.names.length > 0)
+    names = names.concat(particles.names)
+  }
+
+  let attributes = _attributesToDefinition(
+    derivation,
+    targetNamespace,
+    attributeFormQualified,
+    typeLookupMap,
+    namespaces,
+    result['$attributes']
+  )
+  if (Object.keys(attributes).length > 0) {
+    result['$attributes'] = attributes
+  }
+  return { names, ordered }
+}
+
+// Adds the elements of a sequence, all, choice or group to result with their
+// occurrences multiplied by the ones of the enclosing compositors, choices
+// are saved in $choice. Returns the element names in document order and if
+// the order matters.
+function _compositorToDefinition(
+  kind,
+  compositor,
+  occurs,
+  targetNamespace,
+  elementFormQualified,
+  attributeFormQualified,
+  typeLookupMap,
+  namespaces,
+  result
+) {
+  compositor = getType(compositor) === 'object' ? compositor : {}
+  let compositorOccurs = _multiplyOccurs(occurs, _xsdOccurs(compositor))
 
-    elements = Array.isArray(elements) ? elements : [elements]
-    elements.forEach(function(subElement) {
+  if (kind === 'group') {
+    let component = _xsdLookup(
+      typeLookupMap,
+      'group',
+      compositor.$ref,
+      namespaces
+    )
+    if (!component) {
+      throw new Error("Could not find group '" + compositor.$ref + "'")
+    }
+    let group = component.node
+    let groupKind = ['sequence', 'all', 'choice'].find(name =>
+      group.hasOwnProperty(name)
+    )
+    if (!groupKind) {
+      throw new Error('Unknown group structure')
+    }
+    return _compositorToDefinition(
+      groupKind,
+      group[groupKind],
+      compositorOccurs,
+      component.document.targetNamespace,
+      component.document.elementFormQualified,
+      component.document.attributeFormQualified,
+      typeLookupMap,
+      component.document.namespaces,
+      result
+    )
+  }
+
+  // The alternatives of a choice are optional
+  let particleOccurs =
+    kind === 'choice' ? [0, compositorOccurs[1]] : compositorOccurs
+  let names = []
+  let ordered = kind === 'sequence'
+  let alternatives = []
+  let hasAny = false
+  _xsdParticles(compositor).forEach(function(particle) {
+    if (particle.name === 'element') {
+      let subElement = particle.value
+      let elementOccurs = _multiplyOccurs(
+        particleOccurs,
+        _xsdOccurs(subElement)
+      )
+      if (!_compareArray(elementOccurs, _xsdOccurs(subElement))) {
+        subElement = Object.assign({}, subElement, {
+          $minOccurs: `${elementOccurs[0]}`,
+          $maxOccurs:
+            elementOccurs[1] === Number.MAX_VALUE
+              ? 'unbounded'
+              : `${elementOccurs[1]}`
+        })
+      }
       let subResult = _elementToDefinition(
         'element',
         subElement,
@@ -805,15 +1656,445 @@ function _elementToDefinition(
       Object.keys(subResult).forEach(function(key) {
         result[key] = subResult[key]
       })
-      if (result.hasOwnProperty('$order')) {
-        result['$order'].push(subElement.$name)
+      // Arrays keep minOccurs in $type
+      if (elementOccurs[0] > 0 && elementOccurs[1] <= 1) {
+        result[subElement.$name + '$required'] = true
       }
+      names.push(subElement.$name)
+      alternatives.push(subElement.$name)
+    } else if (['sequence', 'all', 'choice', 'group'].includes(particle.name)) {
+      let particles = _compositorToDefinition(
+        particle.name,
+        particle.value,
+        particleOccurs,
+        targetNamespace,
+        elementFormQualified,
+        attributeFormQualified,
+        typeLookupMap,
+        namespaces,
+        result
+      )
+      names.push(...particles.names)
+      ordered = ordered || particles.ordered
+      alternatives.push(particles.names)
+    } else if (particle.name === 'any') {
+      hasAny = true
+    }
+  })
+
+  if (kind === 'choice' && alternatives.length > 0) {
+    result['$choice'] = (result['$choice'] || []).concat({
+      elements: alternatives,
+      minOccurs: compositorOccurs[0],
+      maxOccurs: compositorOccurs[1]
     })
   }
+  if (hasAny && names.length === 0) {
+    result['$type'] = 'any'
+  }
+  return { names, ordered }
+}
+
+// Returns the particles of a compositor in document order
+function _xsdParticles(compositor) {
+  if (compositor['children$']) {
+    return compositor['children$']
+  }
+  let particles = []
+  ;['element', 'sequence', 'choice', 'group', 'any'].forEach(function(name) {
+    if (compositor.hasOwnProperty(name)) {
+      ;[].concat(compositor[name]).forEach(function(value) {
+        particles.push({ name, value })
+      })
+    }
+  })
+  return particles
+}
+
+function _xsdOccurs(particle) {
+  return [
+    parseInt(particle.$minOccurs || 1, 10),
+    particle.$maxOccurs === 'unbounded'
+      ? Number.MAX_VALUE
+      : parseInt(particle.$maxOccurs || 1, 10)
+  ]
+}
+
+function _multiplyOccurs(occurs1, occurs2) {
+  return [
+    occurs1[0] * occurs2[0],
+    Math.min(occurs1[1] * occurs2[1], Number.MAX_VALUE)
+  ]
+}
+
+function _parseXsd(xsd) {
+  let components = {
+    simpleType$type: [],
+    complexType$type: [],
+    complexType$mixed: true,
+    attributeGroup$type: [],
+    group$type: [],
+    group$mixed: true
+  }
+  let schema = _fromXml(
+    xsd,
+    {
+      schema: {
+        element$type: [],
+        element: { complexType$mixed: true },
+        attribute$type: [],
+        include$type: [],
+        import$type: [],
+        redefine$type: [],
+        redefine: components,
+        ...components
+      }
+    },
+    { inlineAttributes: true, convertTypes: false }
+  ).schema
+  return _xsdContentToObject(schema)
+}
+
+// Schemas are parsed with complexType and group as mixed content to keep the
+// order of the particles, this converts them back to objects like the rest of
+// the schema with the ordered particles in children$
+function _xsdContentToObject(value) {
+  if (Array.isArray(value)) {
+    return value.map(_xsdContentToObject)
+  } else if (getType(value) !== 'object') {
+    return value
+  }
+
+  let result = {}
+  Object.keys(value).forEach(function(key) {
+    if (key !== 'content$') {
+      result[key] = _xsdContentToObject(value[key])
+    }
+  })
+  if (value['content$']) {
+    let children = []
+    value['content$'].forEach(function(node) {
+      if (typeof node === 'string') {
+        return // Whitespace between the elements
+      }
+      Object.keys(node).forEach(function(nodeName) {
+        let name = nodeName.replace(/^.*:/, '')
+        let child = _xsdContentToObject(node[nodeName])
+        children.push({ name, value: child })
+        result[name] = result.hasOwnProperty(name)
+          ? [].concat(result[name], [child])
+          : child
+      })
+    })
+    result['children$'] = children
+  }
+  return result
+}
+
+function _simpleContentToDefinition(
+  simpleContent,
+  targetNamespace,
+  elementFormQualified,
+  attributeFormQualified,
+  typeLookupMap,
+  namespaces
+) {
+  let derivation = simpleContent.extension || simpleContent.restriction
+  if (!derivation) {
+    throw new Error('Unknown simpleContent structure')
+  }
+
+  let result = {}
+  let base = derivation.$base
+  let baseType = _xsdLookup(typeLookupMap, 'complexType', base, namespaces)
+  if (baseType && baseType.xsdType === 'complexType') {
+    // Derived from another type with simple content, so start with its attributes
+    let baseResult = _elementToDefinition(
+      'complexType',
+      baseType.node,
+      baseType.document.targetNamespace,
+      baseType.document.elementFormQualified,
+      baseType.document.attributeFormQualified,
+      typeLookupMap,
+      baseType.document.namespaces
+    )
+    result['$type'] = baseResult.$type
+    if (baseResult.$attributes) {
+      result['$attributes'] = baseResult.$attributes
+    }
+  } else {
+    let facets = {}
+    if (simpleContent.restriction) {
+      _addXsdFacets(derivation, facets)
+    }
+    result['$type'] = _resolveSimpleType(
+      base,
+      typeLookupMap,
+      namespaces,
+      facets
+    )
+    Object.assign(result, _xsdFacetsToDefinition(facets, result['$type']))
+  }
+
+  let attributes = _attributesToDefinition(
+    derivation,
+    targetNamespace,
+    attributeFormQualified,
+    typeLookupMap,
+    namespaces,
+    result['$attributes']
+  )
+  if (Object.keys(attributes).length > 0) {
+    result['$attributes'] = attributes
+  }
+  return result
+}
+
+// Adds the xs:attribute and xs:attributeGroup children of element to the
+// attribute definitions in result
+function _attributesToDefinition(
+  element,
+  targetNamespace,
+  attributeFormQualified,
+  typeLookupMap,
+  namespaces,
+  result = {}
+) {
+  result = Object.assign({}, result)
+
+  // Make reverse lookup possible
+  let namespaceToAlias = {}
+  Object.keys(namespaces).forEach(function(key) {
+    namespaceToAlias[namespaces[key]] = key.replace(/^xmlns:/, '')
+  })
+  ;[].concat(element.attribute || []).forEach(function(attribute) {
+    let name = attribute.$name
+    let type
+    let attributeNamespaces = namespaces
+    if (attribute.$ref && attribute.$ref.startsWith('xml:')) {
+      // The xml namespace is always declared
+      name = attribute.$ref
+      type = 'string'
+    } else if (attribute.$ref) {
+      let ref = _namespaceLookup(attribute.$ref, namespaces)
+      let globalAttribute = _xsdLookup(
+        typeLookupMap,
+        'attribute',
+        attribute.$ref,
+        namespaces
+      )
+      if (!globalAttribute) {
+        throw new Error(
+          "Could not find attribute '" +
+            ref.name +
+            "' in namespace '" +
+            ref.ns +
+            "'"
+        )
+      }
+      // Global attributes are always qualified
+      name = namespaceToAlias[ref.ns] + ':' + ref.name
+      attribute = Object.assign({}, globalAttribute.node, attribute)
+      attributeNamespaces = globalAttribute.document.namespaces
+    } else if (
+      attribute.$form ? attribute.$form === 'qualified' : attributeFormQualified
+    ) {
+      name = namespaceToAlias[targetNamespace] + ':' + name
+    }
+
+    if (attribute.$use === 'prohibited') {
+      Object.keys(result).forEach(function(key) {
+        if (key.split('$')[0] === name) {
+          delete result[key]
+        }
+      })
+      return
+    }
+
+    let facets = {}
+    if (!type && (attribute.$type || attribute.simpleType)) {
+      type = _resolveSimpleType(
+        attribute.$type || attribute.simpleType,
+        typeLookupMap,
+        attributeNamespaces,
+        facets
+      )
+    } else if (!type) {
+      type = 'string'
+    }
+
+    result[name + '$type'] = type
+    let facetDefinition = _xsdFacetsToDefinition(facets, type)
+    Object.keys(facetDefinition).forEach(function(key) {
+      result[name + key] = facetDefinition[key]
+    })
+    if (attribute.$use === 'required') {
+      result[name + '$required'] = true
+    }
+    if (attribute.hasOwnProperty('$default')) {
+      result[name + '$default'] = attribute.$default
+    }
+    if (attribute.hasOwnProperty('$fixed')) {
+      result[name + '$fixed'] = attribute.$fixed
+    }
+  })
+  ;[].concat(element.attributeGroup || []).forEach(function(group) {
+    let groupDefinition = _xsdLookup(
+      typeLookupMap,
+      'attributeGroup',
+      group.$ref,
+      namespaces
+    )
+    if (!groupDefinition) {
+      throw new Error("Could not find attributeGroup '" + group.$ref + "'")
+    }
+    result = _attributesToDefinition(
+      groupDefinition.node,
+      groupDefinition.document.targetNamespace,
+      groupDefinition.document.attributeFormQualified,
+      typeLookupMap,
+      groupDefinition.document.namespaces,
+      result
+    )
+  })
 
   return result
 }
 
+// Follows restrictions of simple types to the XSD type they're based on and
+// adds the facets of the restrictions on the way, lists become the item type
+// followed by [], fx. int[]. type is a QName or an inline simpleType
+function _resolveSimpleType(type, typeLookupMap, namespaces, facets = {}) {
+  let visited = []
+  for (;;) {
+    let simpleType = type
+    if (typeof type === 'string') {
+      let typeNamespace = _namespaceLookup(type, namespaces)
+      if (typeNamespace.ns === 'http://www.w3.org/2001/XMLSchema') {
+        // Elements of anyType can contain anything
+        return typeNamespace.name === 'anyType' ? 'any' : typeNamespace.name
+      }
+      let key = _xsdLookupKey(
+        'simpleType',
+        typeNamespace.ns,
+        typeNamespace.name
+      )
+      if (visited.includes(key)) {
+        throw new Error("Circular reference for type '" + type + "'")
+      }
+      visited.push(key)
+
+      let component = _xsdLookup(typeLookupMap, 'simpleType', type, namespaces)
+      if (!component || component.xsdType !== 'simpleType') {
+        throw new Error(
+          "Could not find type '" +
+            typeNamespace.name +
+            "' in namespace '" +
+            typeNamespace.ns +
+            "'"
+        )
+      }
+      namespaces = component.document.namespaces
+      simpleType = component.node
+    }
+
+    if (simpleType.union) {
+      return _unionToType(simpleType.union, typeLookupMap, namespaces)
+    } else if (simpleType.list) {
+      // Facets of the item type are left out like the ones of union members
+      let item = simpleType.list.$itemType || simpleType.list.simpleType
+      return _resolveSimpleType(item, typeLookupMap, namespaces) + '[]'
+    }
+    type = _simpleTypeBase(simpleType, facets)
+  }
+}
+
+// Returns the member types of a union separated by |, fx. int|date, facets of
+// the members are left out
+function _unionToType(union, typeLookupMap, namespaces) {
+  let members = [
+    ...(union.$memberTypes ? union.$memberTypes.trim().split(/\s+/) : []),
+    ...[].concat(union.simpleType || [])
+  ]
+  return members
+    .map(member => _resolveSimpleType(member, typeLookupMap, namespaces))
+    .join('|')
+}
+
+// Adds the facets of a simpleType to facets and returns the type it's based
+// on, a QName or an inline simpleType
+function _simpleTypeBase(simpleType, facets) {
+  if (simpleType.restriction) {
+    _addXsdFacets(simpleType.restriction, facets)
+    return simpleType.restriction.$base || simpleType.restriction.simpleType
+  }
+  throw new Error('Unknown simpleType structure')
+}
+
+// Adds the facets of a restriction unless a more derived type already has
+// them, patterns are kept from all types as the value has to match all of them
+function _addXsdFacets(restriction, facets) {
+  xsdFacetNames.forEach(function(name) {
+    if (!restriction.hasOwnProperty(name)) {
+      return
+    }
+    let values = [].concat(restriction[name]).map(facet => facet.$value)
+    if (name === 'pattern') {
+      // Patterns of the same type are alternatives
+      facets.pattern = (facets.pattern || []).concat(values.join('|'))
+    } else if (!facets.hasOwnProperty(name)) {
+      facets[name] = name === 'enumeration' ? values : values[0]
+    }
+  })
+}
+
+// Returns the definition keys for the facets of a simple type
+function _xsdFacetsToDefinition(facets, type) {
+  let result = {}
+  if (facets.hasOwnProperty('length')) {
+    let length = parseInt(facets.length, 10)
+    result['$length'] = [length, length]
+  } else if (facets.hasOwnProperty('maxLength')) {
+    result['$length'] = [
+      parseInt(facets.minLength || 0, 10),
+      parseInt(facets.maxLength, 10)
+    ]
+  } else if (facets.hasOwnProperty('minLength')) {
+    result['$length'] = [parseInt(facets.minLength, 10), -1]
+  }
+
+  if (facets.pattern) {
+    result['$pattern'] =
+      facets.pattern.length === 1 ? facets.pattern[0] : facets.pattern
+  }
+  if (facets.enumeration) {
+    result['$enumeration'] = facets.enumeration
+  }
+  ;['minInclusive', 'maxInclusive', 'minExclusive', 'maxExclusive'].forEach(
+    function(name) {
+      if (facets.hasOwnProperty(name)) {
+        // Only numeric bounds are converted, dates and integers above 2^53
+        // are kept as XSD text
+        let bound = _convertFromXsdType(type, facets[name])
+        result['$' + name] =
+          typeof bound === 'number' &&
+          (Number.isSafeInteger(bound) || !isDecimalType(type))
+            ? bound
+            : facets[name]
+      }
+    }
+  )
+  ;['totalDigits', 'fractionDigits'].forEach(function(name) {
+    if (facets.hasOwnProperty(name)) {
+      result['$' + name] = parseInt(facets[name], 10)
+    }
+  })
+  if (facets.whiteSpace) {
+    result['$whiteSpace'] = facets.whiteSpace
+  }
+  return result
+}
+
 function _namespaceLookup(name, namespaces) {
   let result
   let ns = name.split(':')
@@ -830,29 +2111,219 @@ function _namespaceLookup(name, namespaces) {
   return result
 }
 
-function _generateSample(definition) {
+// Elements with a type already being generated by an ancestor are left out
+// so recursive types end
+function _generateSample(definition, choices = [], types, ancestors = []) {
   let result = {}
+  definition = resolveDefinition(definition, types)
+
+  // Only use the first alternative of choices
+  let skippedNames = []
+  choices.forEach(function(choice) {
+    choice.elements.slice(1).forEach(function(names) {
+      skippedNames.push(...[].concat(names))
+    })
+  })
 
   Object.keys(definition).forEach(function(key) {
-    if (key.endsWith('$type')) {
+    if (key.indexOf('$') === -1 && ancestors.includes(definition[key])) {
+      skippedNames.push(key)
+    }
+  })
+
+  Object.keys(definition).forEach(function(key) {
+    if (skippedNames.includes(key.split('$')[0])) {
+      return
+    } else if (key.endsWith('$type')) {
       let keyName = key.replace(/\$type$/, '')
-      let length = definition[keyName + '$length'] || [1, 1]
+      let length = definition[keyName + '$length']
+      let facets = definitionFacets(definition, keyName)
 
       if (Array.isArray(definition[key])) {
-        let value = _generateXsdTypeSample(definition[key][0], length[1])
-        result[keyName] = new Array(definition[key][2]).fill(value)
+        let childDefinition = definition[keyName]
+        // Unbounded arrays get the minimum number of items
+        let count =
+          definition[key][2] === Number.MAX_VALUE
+            ? Math.max(definition[key][1] || 0, 1)
+            : definition[key][2]
+        result[keyName] = new Array(count)
+          .fill(null)
+          .map(
+            () =>
+              typeof childDefinition === 'object'
+                ? _generateSample(
+                    childDefinition,
+                    definition[keyName + '$choice'],
+                    types,
+                    [...ancestors, childDefinition]
+                  )
+                : _generateFacetSample(definition[key][0], length, facets)
+          )
       } else {
-        result[keyName] = _generateXsdTypeSample(definition[key], length[1])
+        result[keyName] = _generateFacetSample(definition[key], length, facets)
       }
-    } else if (key.indexOf('$') === -1 && typeof definition[key] === 'object') {
-      result[key] = _generateSample(definition[key])
+    } else if (
+      key.indexOf('$') === -1 &&
+      typeof definition[key] === 'object' &&
+      !Array.isArray(definition[key + '$type'])
+    ) {
+      result[key] = _generateSample(
+        definition[key],
+        definition[key + '$choice'],
+        types,
+        [...ancestors, definition[key]]
+      )
     }
   })
 
   return result
 }
 
+// Generates a sample that satisfies the facets when they are simple enough
+function _generateFacetSample(type, length, facets) {
+  let [minLength, maxLength] = length || [1, 1]
+  let sample = _generateXsdTypeSample(
+    type,
+    maxLength < 0 ? Math.max(minLength, 1) : maxLength
+  )
+  if (!facets) {
+    return sample
+  }
+
+  let candidates = []
+  if (facets.enumeration) {
+    candidates.push(..._sampleCandidates(type, facets.enumeration))
+  }
+  if (facets.pattern) {
+    candidates.push(...[].concat(facets.pattern).map(_generatePatternSample))
+  }
+  ;['minInclusive', 'maxInclusive'].forEach(function(name) {
+    if (facets[name] !== undefined) {
+      candidates.push(facets[name])
+    }
+  })
+  if (facets.minExclusive !== undefined) {
+    candidates.push(+facets.minExclusive + 1, +facets.minExclusive + 0.5)
+  }
+  if (facets.maxExclusive !== undefined) {
+    candidates.push(+facets.maxExclusive - 1, +facets.maxExclusive - 0.5)
+  }
+
+  let valid = [sample, ..._sampleCandidates(type, candidates)].find(
+    candidate =>
+      validateXmlType(candidate, type, length, '', false, facets) === null
+  )
+  return valid !== undefined ? valid : sample
+}
+
+// Converts candidate sample values to the JS type used for the XSD type
+function _sampleCandidates(type, candidates) {
+  return candidates.map(
+    candidate =>
+      typeof candidate === 'string'
+        ? _convertFromXsdType(type, candidate)
+        : candidate
+  )
+}
+
+// Generates a string matching a pattern by taking the first alternative and
+// the minimum number of repetitions, fx. [A-Z]{2}\d+ gives AA0
+function _generatePatternSample(pattern) {
+  const escapes = { d: '0', w: 'a', i: 'a', c: 'a', s: ' ', n: '\n', t: '\t' }
+  let index = 0
+
+  function escapeSample() {
+    let char = pattern[index++]
+    if (char === 'p' || char === 'P') {
+      // Skip unicode categories
+      index = pattern.indexOf('}', index) + 1
+      return 'a'
+    }
+    return escapes.hasOwnProperty(char)
+      ? escapes[char]
+      : /[DWSIC]/.test(char)
+        ? '-'
+        : char
+  }
+
+  function atomSample() {
+    let char = pattern[index++]
+    if (char === '(') {
+      let sample = alternativesSample()
+      index++
+      return sample
+    } else if (char === '[') {
+      let sample = pattern[index] === '\\' ? (index++, escapeSample()) : null
+      if (sample === null) {
+        sample = pattern[index] === '^' ? '-' : pattern[index]
+      }
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1
+      }
+      index++
+      return sample
+    } else if (char === '\\') {
+      return escapeSample()
+    } else if (char === '.') {
+      return 'a'
+    }
+    return char
+  }
+
+  function repetitions() {
+    let char = pattern[index]
+    if (char === '?' || char === '*') {
+      index++
+      return 0
+    } else if (char === '+') {
+      index++
+      return 1
+    } else if (char === '{') {
+      let end = pattern.indexOf('}', index)
+      let count = parseInt(pattern.slice(index + 1, end), 10)
+      index = end + 1
+      return count
+    }
+    return 1
+  }
+
+  function alternativeSample() {
+    let sample = ''
+    while (
+      index < pattern.length &&
+      pattern[index] !== '|' &&
+      pattern[index] !== ')'
+    ) {
+      let atom = atomSample()
+      sample += atom.repeat(repetitions())
+    }
+    return sample
+  }
+
+  function alternativesSample() {
+    let sample = alternativeSample()
+    while (pattern[index] === '|') {
+      index++
+      alternativeSample()
+    }
+    return sample
+  }
+
+  return alternativesSample()
+}
+
 function _generateXsdTypeSample(type, length) {
+  let custom = customType(type)
+  if (custom) {
+    return custom.sample
+      ? custom.sample()
+      : _generateXsdTypeSample(custom.base, length)
+  } else if (unionMemberTypes(type)) {
+    return _generateXsdTypeSample(unionMemberTypes(type)[0], length)
+  } else if (listItemType(type)) {
+    return [_generateXsdTypeSample(listItemType(type), length)]
+  }
+
   // http://www.xml.dvint.com/docs/SchemaDataTypesQR-2.pdf
   switch (type) {
     case 'boolean':
@@ -901,6 +2372,46 @@ function _generateXsdTypeSample(type, length) {
       return 0
     case 'unsignedShort':
       return 0
+    case 'dateTime':
+      return new Date(0)
+    case 'date':
+      return new Date(0)
+    case 'duration':
+      return { seconds: 0 }
+    case 'time':
+      return '00:00:00'
+    case 'gYear':
+      return '1970'
+    case 'gYearMonth':
+      return '1970-01'
+    case 'gMonth':
+      return '--01'
+    case 'gDay':
+      return '---01'
+    case 'gMonthDay':
+      return '--01-01'
+    case 'Name':
+      return 'a'
+    case 'NCName':
+      return 'a'
+    case 'QName':
+      return 'a'
+    case 'NOTATION':
+      return 'a'
+    case 'ID':
+      return 'a'
+    case 'IDREF':
+      return 'a'
+    case 'ENTITY':
+      return 'a'
+    case 'NMTOKEN':
+      return 'a'
+    case 'positiveInteger':
+      return 1
+    case 'anySimpleType':
+      return ' '.repeat(length)
+    case 'anyType':
+      return {}
     case 'empty':
       return ''
     case 'any':
@@ -929,8 +2440,11 @@ function _compareArray(array1, array2) {
 
 module.exports = {
   toXml,
+  toXmlStream,
   fromXml,
+  fromXmlStream,
   generateDefinition,
   generateSample,
+  registerType,
   Parser
 }
@@ -0,0 +1,176 @@
+// @ts-check
+'use strict'
+
+// XML name characters, https://www.w3.org/TR/xml/#NT-NameStartChar
+const nameStartChars =
+  'A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D' +
+  '\\u037F-\\u1FFF\\u200C\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF' +
+  '\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}'
+const nameChars = `${nameStartChars}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F\\u2040`
+
+// Multi-character escapes as the characters of a class and whether the class
+// is negated, fx. \S is [^ \t\n\r]
+const multiCharEscapes = {
+  s: [' \\t\\n\\r', false],
+  S: [' \\t\\n\\r', true],
+  i: [`:${nameStartChars}`, false],
+  I: [`:${nameStartChars}`, true],
+  c: [`:${nameChars}`, false],
+  C: [`:${nameChars}`, true],
+  d: ['\\p{Nd}', false],
+  D: ['\\P{Nd}', false],
+  w: ['\\p{P}\\p{Z}\\p{C}', true],
+  W: ['\\p{P}\\p{Z}\\p{C}', false]
+}
+
+// Unicode blocks for \p{IsBlock}, the most used of the XSD block names
+const unicodeBlocks = {
+  BasicLatin: '\\u0000-\\u007F',
+  'Latin-1Supplement': '\\u0080-\\u00FF',
+  'LatinExtended-A': '\\u0100-\\u017F',
+  'LatinExtended-B': '\\u0180-\\u024F',
+  IPAExtensions: '\\u0250-\\u02AF',
+  SpacingModifierLetters: '\\u02B0-\\u02FF',
+  CombiningDiacriticalMarks: '\\u0300-\\u036F',
+  Greek: '\\u0370-\\u03FF',
+  Cyrillic: '\\u0400-\\u04FF',
+  Armenian: '\\u0530-\\u058F',
+  Hebrew: '\\u0590-\\u05FF',
+  Arabic: '\\u0600-\\u06FF',
+  Devanagari: '\\u0900-\\u097F',
+  Thai: '\\u0E00-\\u0E7F',
+  Georgian: '\\u10A0-\\u10FF',
+  HangulJamo: '\\u1100-\\u11FF',
+  LatinExtendedAdditional: '\\u1E00-\\u1EFF',
+  GreekExtended: '\\u1F00-\\u1FFF',
+  GeneralPunctuation: '\\u2000-\\u206F',
+  SuperscriptsandSubscripts: '\\u2070-\\u209F',
+  CurrencySymbols: '\\u20A0-\\u20CF',
+  LetterlikeSymbols: '\\u2100-\\u214F',
+  NumberForms: '\\u2150-\\u218F',
+  Arrows: '\\u2190-\\u21FF',
+  MathematicalOperators: '\\u2200-\\u22FF',
+  BoxDrawing: '\\u2500-\\u257F',
+  GeometricShapes: '\\u25A0-\\u25FF',
+  MiscellaneousSymbols: '\\u2600-\\u26FF',
+  CJKSymbolsandPunctuation: '\\u3000-\\u303F',
+  Hiragana: '\\u3040-\\u309F',
+  Katakana: '\\u30A0-\\u30FF',
+  CJKUnifiedIdeographs: '\\u4E00-\\u9FFF',
+  HangulSyllables: '\\uAC00-\\uD7A3',
+  PrivateUse: '\\uE000-\\uF8FF',
+  AlphabeticPresentationForms: '\\uFB00-\\uFB4F',
+  HalfwidthandFullwidthForms: '\\uFF00-\\uFFEF',
+  Specials: '\\uFFF0-\\uFFFF'
+}
+
+// Characters that have to be escaped in a JavaScript regular expression with
+// the u flag while they are plain characters in XSD
+const literalChars = ['^', '$']
+
+// Translates an XSD regular expression to a JavaScript RegExp matching the
+// whole value, throws when the pattern uses syntax that is not supported
+function xsdPatternToRegExp(pattern) {
+  let index = 0
+
+  // Returns [characters, negated] for the escape after a backslash
+  function escape() {
+    let char = pattern[index++]
+    if (char === undefined) {
+      throw new Error('Pattern ends with a backslash')
+    } else if (multiCharEscapes.hasOwnProperty(char)) {
+      return multiCharEscapes[char]
+    } else if (char === 'p' || char === 'P') {
+      let end = pattern.indexOf('}', index)
+      if (pattern[index] !== '{' || end < 0) {
+        throw new Error(`Expected {name} after \\${char}`)
+      }
+      let name = pattern.slice(index + 1, end)
+      index = end + 1
+      if (name.startsWith('Is')) {
+        let block = unicodeBlocks[name.slice(2)]
+        if (!block) {
+          throw new Error(`Unknown unicode block ${name}`)
+        }
+        return [block, char === 'P']
+      }
+      return [`\\${char}{${name}}`, false]
+    } else if (/[nrt\\|.?*+(){}[\]^$-]/.test(char)) {
+      return [`\\${char}`, false]
+    }
+    throw new Error(`Unknown escape \\${char}`)
+  }
+
+  // Character classes become a plain class when possible, negated escapes
+  // and subtractions need lookaheads as there are no nested classes
+  function characterClass() {
+    let negated = pattern[index] === '^'
+    if (negated) {
+      index++
+    }
+    let chars = ''
+    let negatedSets = []
+    let subtraction = null
+    while (pattern[index] !== ']') {
+      let char = pattern[index++]
+      if (char === undefined) {
+        throw new Error('Unterminated character class')
+      } else if (char === '-' && pattern[index] === '[') {
+        index++
+        subtraction = characterClass()
+        if (pattern[index] !== ']') {
+          throw new Error('Expected ] after a class subtraction')
+        }
+      } else if (char === '\\') {
+        let [set, isNegated] = escape()
+        if (isNegated) {
+          negatedSets.push(set)
+        } else {
+          chars += set
+        }
+      } else if (char === '[') {
+        chars += '\\['
+      } else {
+        chars += char
+      }
+    }
+    index++
+
+    let sets = negatedSets.map(set => `[^${set}]`)
+    if (chars || sets.length === 0) {
+      sets.unshift(`[${chars}]`)
+    }
+    let result = sets.length > 1 ? `(?:${sets.join('|')})` : sets[0]
+    if (negated) {
+      result = negatedSets.length ? `(?:(?!${result})[^])` : `[^${chars}]`
+    }
+    return subtraction ? `(?:(?!${subtraction})${result})` : result
+  }
+
+  let source = ''
+  while (index < pattern.length) {
+    let char = pattern[index++]
+    if (char === '\\') {
+      let [set, negated] = escape()
+      source +=
+        set.startsWith('\\') && set.length === 2
+          ? set.replace('\\-', '-')
+          : `[${negated ? '^' : ''}${set}]`
+    } else if (char === '[') {
+      source += characterClass()
+    } else if (char === '.') {
+      source += '[^\\n\\r]'
+    } else if (literalChars.includes(char)) {
+      source += `\\${char}`
+    } else {
+      source += char
+    }
+  }
+  return new RegExp(`^(?:${source})$`, 'u')
+}
+
+module.exports = {
+  nameStartChars,
+  nameChars,
+  xsdPatternToRegExp
+}
@@ -0,0 +1,340 @@
+/*eslint-env node, mocha */
+
+const assert = require('chai').assert
+const { Readable } = require('stream')
+const xmlExact = require('../src/xmlexact')
+const ValidationError = require('../src/validationerror')
+const { deleteCustomType } = require('../src/customtypes')
+
+function readableFromChunks(chunks) {
+  return new Readable({
+    read() {
+      this.push(chunks.length > 0 ? chunks.shift() : null)
+    }
+  })
+}
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    let items = []
+    stream.on('data', item => items.push(item))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(items))
+  })
+}
+
+describe('fromXmlStream', () => {
+  before(() => {
+    xmlExact.registerType('failing', {
+      parse: () => {
+        throw new Error('Could not parse')
+      }
+    })
+  })
+
+  after(() => {
+    deleteCustomType('failing')
+  })
+
+  const definition = {
+    Envelope: {
+      Body: {
+        orders: {
+          order$type: [],
+          order: {
+            id$type: 'int',
+            name$type: 'string',
+            data$type: 'base64Binary',
+            line$type: ['int']
+          }
+        }
+      }
+    }
+  }
+
+  const xml = Buffer.from(
+    [
+      '<Envelope>',
+      '  <Body>',
+      '    <orders>',
+      '      <order>',
+      '        <id>1</id>',
+      '        <name>Æble</name>',
+      '        <line>10</line>',
+      '      </order>',
+      '      <order>',
+      '        <id>2</id>',
+      '        <name>Øl</name>',
+      '        <data>w4bDmMOF</data>',
+      '        <line>20</line>',
+      '        <line>30</line>',
+      '      </order>',
+      '    </orders>',
+      '  </Body>',
+      '</Envelope>'
+    ].join('\n')
+  )
+
+  const expectedOrders = [
+    { id: 1, name: 'Æble', line: [10] },
+    {
+      id: 2,
+      name: 'Øl',
+      data: Buffer.from('ÆØÅ'),
+      line: [20, 30]
+    }
+  ]
+
+  it('emits converted elements for the element path', async () => {
+    const orders = await collect(
+      readableFromChunks([xml]).pipe(
+        xmlExact.fromXmlStream('Envelope.Body.orders.order', definition)
+      )
+    )
+    assert.deepEqual(orders, expectedOrders)
+  })
+
+  it('handles chunks split inside elements and characters', async () => {
+    let chunks = []
+    for (let i = 0; i < xml.length; i += 7) {
+      chunks.push(xml.slice(i, i + 7))
+    }
+    const orders = await collect(
+      readableFromChunks(chunks).pipe(
+        xmlExact.fromXmlStream('Envelope.Body.orders.order', definition)
+      )
+    )
+    assert.deepEqual(orders, expectedOrders)
+  })
+
+  it('emits parse errors', async () => {
+    try {
+      await collect(
+        readableFromChunks([Buffer.from('<Envelope><Body></Envelope>')]).pipe(
+          xmlExact.fromXmlStream('Envelope.Body', definition)
+        )
+      )
+    } catch (error) {
+      assert.match(error.message, /^There are errors in your xml file/)
+      return
+    }
+    assert.fail('Should emit an error')
+  })
+
+  it('emits validation errors with the item path', async () => {
+    const invalidXml = xml.toString().replace('<id>2</id>', '<id>two</id>')
+    const parser = new xmlExact.Parser(definition, { validation: true })
+    try {
+      await collect(
+        readableFromChunks([Buffer.from(invalidXml)]).pipe(
+          parser.fromXmlStream('Envelope.Body.orders.order')
+        )
+      )
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.strictEqual(error.path, 'Envelope.Body.orders.order[1].id')
+      return
+    }
+    assert.fail('Should emit an error')
+  })
+
+  it('collects validation errors until the end with validation all', async () => {
+    const invalidXml = xml
+      .toString()
+      .replace('<id>1</id>', '<id>one</id>')
+      .replace('<id>2</id>', '<id>two</id>')
+    let chunks = [invalidXml.slice(0, 150), invalidXml.slice(150)].map(chunk =>
+      Buffer.from(chunk)
+    )
+    try {
+      await collect(
+        readableFromChunks(chunks).pipe(
+          xmlExact.fromXmlStream('Envelope.Body.orders.order', definition, {
+            validation: 'all'
+          })
+        )
+      )
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.deepEqual(error.errors.map(error => error.path), [
+        'Envelope.Body.orders.order[0].id',
+        'Envelope.Body.orders.order[1].id'
+      ])
+      return
+    }
+    assert.fail('Should emit an error')
+  })
+
+  it('emits errors thrown while converting', async () => {
+    try {
+      await collect(
+        readableFromChunks([Buffer.from('<a><c>1</c></a>')]).pipe(
+          xmlExact.fromXmlStream('a.c', { a: { c$type: ['failing'] } })
+        )
+      )
+    } catch (error) {
+      assert.strictEqual(error.message, 'Could not parse')
+      return
+    }
+    assert.fail('Should emit an error')
+  })
+
+  it('leaves out elements converted to null', async () => {
+    const values = await collect(
+      readableFromChunks([Buffer.from('<a><c>1</c><c></c><c>3</c></a>')]).pipe(
+        xmlExact.fromXmlStream('a.c', { a: { c$type: ['int?'] } })
+      )
+    )
+    assert.deepEqual(values, [1, 3])
+  })
+})
+
+describe('toXmlStream', () => {
+  const definition = {
+    Envelope$namespace: 'soap',
+    Envelope$attributes: {
+      'xmlns:soap': 'http://www.w3.org/2003/05/soap-envelope/'
+    },
+    Envelope$order: ['Header', 'Body'],
+    Envelope: {
+      Header$namespace: 'soap',
+      Body$namespace: 'soap',
+      Body: {
+        orders: {
+          order$type: ['', 1, 3],
+          order$attributes: { version: '1' },
+          order$order: ['id', 'data'],
+          order: {
+            id$type: 'int',
+            data$type: 'base64Binary'
+          }
+        }
+      }
+    }
+  }
+
+  function orders() {
+    return [
+      { data: Buffer.from('ÆØÅ'), id: 1, $status: 'new' },
+      { id: 2, data: Buffer.from('ÅØÆ') }
+    ]
+  }
+
+  async function* asyncOrders() {
+    for (let order of orders()) {
+      yield order
+    }
+  }
+
+  async function readString(stream) {
+    const chunks = await collect(stream)
+    return chunks.map(chunk => chunk.toString()).join('')
+  }
+
+  it('generates the same XML as toXml', async () => {
+    const obj = {
+      Envelope: { Body: { orders: { order: orders() } }, Header: '' }
+    }
+    const xml = await readString(
+      xmlExact.toXmlStream(obj, 'Envelope', definition)
+    )
+    assert.strictEqual(xml, xmlExact.toXml(obj, 'Envelope', definition))
+  })
+
+  it('serializes async iterables', async () => {
+    const obj = {
+      Envelope: { Body: { orders: { order: asyncOrders() } }, Header: '' }
+    }
+    const expectedObj = {
+      Envelope: { Body: { orders: { order: orders() } }, Header: '' }
+    }
+    const xml = await readString(
+      xmlExact.toXmlStream(obj, 'Envelope', definition, { xmlHeader: true })
+    )
+    assert.strictEqual(
+      xml,
+      xmlExact.toXml(expectedObj, 'Envelope', definition, { xmlHeader: true })
+    )
+  })
+
+  it('writes elements with empty async iterables as toXml does', async () => {
+    async function* noOrders() {}
+    for (let obj of [
+      { Envelope: { Body: { orders: { order: noOrders() } } } },
+      { Envelope: { Body: { orders: { order: noOrders() } }, Header: '' } }
+    ]) {
+      const xml = await readString(
+        xmlExact.toXmlStream(obj, 'Envelope', definition)
+      )
+      obj.Envelope.Body.orders.order = []
+      assert.strictEqual(xml, xmlExact.toXml(obj, 'Envelope', definition))
+    }
+  })
+
+  it('only pulls items when the consumer reads', async () => {
+    let pulled = 0
+    async function* manyOrders() {
+      for (let i = 0; i < 1000; i++) {
+        pulled++
+        yield { id: i }
+      }
+    }
+    const stream = xmlExact.toXmlStream(
+      { Envelope: { Body: { orders: { order: manyOrders() } } } },
+      'Envelope',
+      {}
+    )
+    await new Promise(resolve => setTimeout(resolve, 10))
+    assert.isBelow(pulled, 1000)
+    const xml = await readString(stream)
+    assert.strictEqual(pulled, 1000)
+    assert.strictEqual(xml.match(/<order>/g).length, 1000)
+  })
+
+  it('validates the number of items from async iterables', async () => {
+    async function* tooManyOrders() {
+      for (let i = 0; i < 4; i++) {
+        yield { id: i }
+      }
+    }
+    const obj = {
+      Envelope: { Body: { orders: { order: tooManyOrders() } }, Header: '' }
+    }
+    try {
+      await readString(
+        xmlExact.toXmlStream(obj, 'Envelope', definition, { validation: true })
+      )
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.strictEqual(
+        error.message,
+        'Expected Envelope.Body.orders.order to have at most 3 items found 4'
+      )
+      return
+    }
+    assert.fail('Should emit an error')
+  })
+
+  it('declares namespaces used by async iterables on the parent', async () => {
+    const xml = await readString(
+      xmlExact.toXmlStream(
+        { root: { order: asyncOrders() } },
+        'root',
+        { root: { order$namespace: 'o', order$type: [] } },
+        { namespaces: { o: 'http://example.com/orders' } }
+      )
+    )
+    assert.strictEqual(
+      xml.split('\n')[0],
+      '<root xmlns:o="http://example.com/orders">'
+    )
+    assert.strictEqual(xml.match(/xmlns:o/g).length, 1)
+  })
+
+  it('toXml rejects async iterables', () => {
+    assert.throws(
+      () => xmlExact.toXml({ root: { item: asyncOrders() } }, 'root'),
+      /Async iterable found at root\.item/
+    )
+  })
+})
@@ -2,8 +2,9 @@
 
 const assert = require('chai').assert
 const xmlExact = require('../src/xmlexact')
+const ValidationError = require('../src/validationerror')
 
-describe.skip('Validation', () => {
+describe('Validation', () => {
   const definition = {
     complexAll: {
       boolean$type: 'boolean',
@@ -47,7 +48,7 @@ describe.skip('Validation', () => {
       })
     } catch (error) {
       assert.isNotNull(error)
-      assert.match(error, /should be larger/)
+      assert.match(error, /complexAll\.stringArray to have at most 2 items/)
       return
     }
     assert.fail('Should throw exception with errors')
@@ -70,4 +71,820 @@ describe.skip('Validation', () => {
     }
     assert.fail('Should throw exception with errors')
   })
+
+  it('type and length violations', () => {
+    const invalidValues = {
+      boolean: 'yes',
+      float: 'abc',
+      int: 1.5,
+      string: ' '
+    }
+    Object.keys(invalidValues).forEach(key => {
+      const invalidObj = {
+        complexAll: {
+          [key]: invalidValues[key],
+          stringArray: ['  ', '  ']
+        }
+      }
+      assert.throws(
+        () =>
+          xmlExact.toXml(invalidObj, 'complexAll', definition, {
+            validation: true
+          }),
+        ValidationError,
+        `complexAll.${key}`
+      )
+    })
+  })
+
+  it('string array item too short', () => {
+    const invalidObj = {
+      complexAll: {
+        stringArray: ['  ', ' ']
+      }
+    }
+    assert.throws(
+      () =>
+        xmlExact.toXml(invalidObj, 'complexAll', definition, {
+          validation: true
+        }),
+      ValidationError,
+      'Expected complexAll.stringArray[1] to have a length of at least 2 found 1'
+    )
+  })
+
+  it('integer ranges', () => {
+    const rangeDefinition = {
+      root: {
+        byte$type: 'byte',
+        unsignedInt$type: 'unsignedInt',
+        short$type: 'short'
+      }
+    }
+    const validObj = {
+      root: { byte: -128, unsignedInt: 4294967295, short: '32767' }
+    }
+    assert.isString(
+      xmlExact.toXml(validObj, 'root', rangeDefinition, { validation: true })
+    )
+    ;[{ byte: 128 }, { unsignedInt: -1 }, { short: '32768' }].forEach(value => {
+      assert.throws(
+        () =>
+          xmlExact.toXml({ root: value }, 'root', rangeDefinition, {
+            validation: true
+          }),
+        ValidationError
+      )
+    })
+  })
+
+  it('long ranges are checked exactly', () => {
+    const longDefinition = { root: { long$type: 'long' } }
+    assert.isString(
+      xmlExact.toXml(
+        { root: { long: BigInt('9223372036854775807') } },
+        'root',
+        longDefinition,
+        { validation: true }
+      )
+    )
+    assert.throws(
+      () =>
+        xmlExact.fromXml(
+          '<root><long>9223372036854775808</long></root>',
+          longDefinition,
+          { validation: true }
+        ),
+      ValidationError,
+      "Expected root.long to be of type long found '9223372036854775808'"
+    )
+  })
+
+  it('binary length', () => {
+    const binaryDefinition = {
+      root: {
+        hex$type: 'hexBinary',
+        hex$length: [2, 2]
+      }
+    }
+    assert.isString(
+      xmlExact.toXml(
+        { root: { hex: Buffer.from([1, 2]) } },
+        'root',
+        binaryDefinition,
+        { validation: true }
+      )
+    )
+    assert.throws(
+      () =>
+        xmlExact.toXml(
+          { root: { hex: Buffer.from([1, 2, 3]) } },
+          'root',
+          binaryDefinition,
+          { validation: true }
+        ),
+      ValidationError,
+      'Expected root.hex to have a length of at most 2 found 3'
+    )
+  })
+})
+
+describe('Validation of occurrences', () => {
+  const definition = {
+    root: {
+      single$type: 'string',
+      optional$type: ['string', 0, 2],
+      required$type: ['string', 1, 1],
+      nested$type: [],
+      nested: {
+        item$type: ['int', 2, 3]
+      }
+    }
+  }
+
+  it('toXml', () => {
+    const invalidObj = {
+      root: {
+        single: ['a', 'b'],
+        optional: ['a', 'b', 'c'],
+        nested: [{ item: [1, 2] }, { item: 1 }]
+      }
+    }
+    try {
+      xmlExact.toXml(invalidObj, 'root', definition, { validation: 'all' })
+    } catch (error) {
+      assert.deepEqual(error.errors.map(e => e.message), [
+        'Expected root.single to have at most 1 items found 2',
+        'Expected root.optional to have at most 2 items found 3',
+        'Expected required element root.required to be present',
+        'Expected root.nested[1].item to have at least 2 items found 1'
+      ])
+      assert.deepEqual(error.errors[2].expected, { occurs: [1, 1] })
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('fromXml', () => {
+    const xml = [
+      '<root>',
+      '  <single>a</single>',
+      '  <single>b</single>',
+      '  <nested>',
+      '    <item>1</item>',
+      '  </nested>',
+      '  <nested>',
+      '    <item>1</item>',
+      '    <item>2</item>',
+      '    <item>3</item>',
+      '    <item>4</item>',
+      '  </nested>',
+      '</root>'
+    ].join('\n')
+    try {
+      xmlExact.fromXml(xml, definition, { validation: 'all' })
+    } catch (error) {
+      assert.deepEqual(error.errors.map(e => e.message), [
+        'Expected root.nested[0].item to have at least 2 items found 1',
+        'Expected root.nested[1].item to have at most 3 items found 4',
+        'Expected root.single to have at most 1 items found 2',
+        'Expected required element root.required to be present'
+      ])
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('valid occurrences', () => {
+    const validObj = {
+      root: {
+        single: 'a',
+        required: ['b'],
+        nested: [{ item: [1, 2] }]
+      }
+    }
+    const xml = xmlExact.toXml(validObj, 'root', definition, {
+      validation: true
+    })
+    assert.deepEqual(
+      xmlExact.fromXml(xml, definition, { validation: true }).root,
+      validObj.root
+    )
+  })
+})
+
+describe('Validation collecting all errors', () => {
+  const definition = {
+    Envelope: {
+      Body: {
+        values: {
+          value$type: ['int', 1, 3],
+          value$length: [1, 2]
+        },
+        flag$type: 'boolean'
+      }
+    }
+  }
+
+  it('toXml', () => {
+    const invalidObj = {
+      Envelope: {
+        Body: {
+          values: {
+            value: [1, 'a', 2, 100]
+          },
+          flag: 'yes'
+        }
+      }
+    }
+
+    try {
+      xmlExact.toXml(invalidObj, 'Envelope', definition, {
+        validation: 'all'
+      })
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.match(error.message, /^Found 4 validation errors/)
+      assert.deepEqual(error.errors.map(e => [e.path, e.expected, e.value]), [
+        ['Envelope.Body.values.value', { occurs: [1, 3] }, [1, 'a', 2, 100]],
+        ['Envelope.Body.values.value[1]', { type: 'int' }, 'a'],
+        ['Envelope.Body.values.value[3]', { length: [1, 2] }, 100],
+        ['Envelope.Body.flag', { type: 'boolean' }, 'yes']
+      ])
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('fromXml', () => {
+    const xml = [
+      '<Envelope>',
+      '  <Body>',
+      '    <values>',
+      '      <value>1</value>',
+      '      <value>a</value>',
+      '      <value>100</value>',
+      '    </values>',
+      '    <flag>yes</flag>',
+      '  </Body>',
+      '</Envelope>'
+    ].join('\n')
+
+    try {
+      xmlExact.fromXml(xml, definition, { validation: 'all' })
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.deepEqual(error.errors.map(e => [e.path, e.expected, e.value]), [
+        ['Envelope.Body.values.value[1]', { type: 'int' }, 'a'],
+        ['Envelope.Body.values.value[2]', { length: [1, 2] }, '100'],
+        ['Envelope.Body.flag', { type: 'boolean' }, 'yes']
+      ])
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('fromXml stops on the first error', () => {
+    assert.throws(
+      () =>
+        xmlExact.fromXml(
+          '<Envelope><Body><flag>1x</flag></Body></Envelope>',
+          definition,
+          {
+            validation: true
+          }
+        ),
+      ValidationError,
+      "Expected Envelope.Body.flag to be of type boolean found '1x'"
+    )
+  })
+})
+
+describe('Validation in fromXml', () => {
+  const definition = {
+    root: {
+      int$type: 'int',
+      byte$type: 'byte',
+      boolean$type: 'boolean',
+      float$type: 'float',
+      base64$type: 'base64Binary',
+      base64$length: [1, 6],
+      hex$type: 'hexBinary',
+      string$type: 'string',
+      string$length: [0, 3],
+      anything$type: 'any'
+    }
+  }
+
+  const validXml = [
+    '<root>',
+    '  <int>-12</int>',
+    '  <byte>127</byte>',
+    '  <boolean>1</boolean>',
+    '  <float>1.5E3</float>',
+    '  <base64>w4bDmMOF</base64>',
+    '  <hex>c385</hex>',
+    '  <string>abc</string>',
+    '  <anything><nested>1</nested></anything>',
+    '</root>'
+  ].join('\n')
+
+  it('valid document', () => {
+    const obj = xmlExact.fromXml(validXml, definition, { validation: true })
+    assert.strictEqual(obj.root.int, -12)
+    assert.deepEqual(obj.root.anything, { nested: '1' })
+  })
+
+  it('special float values', () => {
+    for (let [text, number] of [
+      ['INF', Infinity],
+      ['-INF', -Infinity],
+      ['NaN', NaN]
+    ]) {
+      const obj = xmlExact.fromXml(
+        `<root><float>${text}</float></root>`,
+        definition,
+        { validation: true }
+      )
+      assert.deepEqual(obj.root.float, number)
+    }
+  })
+
+  const invalidValues = {
+    int: ['abc', "Expected root.int to be of type int found 'abc'"],
+    byte: ['300', "Expected root.byte to be of type byte found '300'"],
+    boolean: ['yes', "Expected root.boolean to be of type boolean found 'yes'"],
+    float: ['1,5', "Expected root.float to be of type float found '1,5'"],
+    base64: [
+      'w4b!',
+      "Expected root.base64 to be of type base64Binary found 'w4b!'"
+    ],
+    hex: ['c38', "Expected root.hex to be of type hexBinary found 'c38'"],
+    string: [
+      'abcd',
+      'Expected root.string to have a length of at most 3 found 4'
+    ]
+  }
+
+  Object.keys(invalidValues).forEach(key => {
+    it(`invalid ${key}`, () => {
+      const [value, message] = invalidValues[key]
+      assert.throws(
+        () =>
+          xmlExact.fromXml(
+            `<root><${key}>${value}</${key}></root>`,
+            definition,
+            {
+              validation: true
+            }
+          ),
+        ValidationError,
+        message
+      )
+    })
+  })
+
+  it('binary length is checked on the decoded value', () => {
+    assert.throws(
+      () =>
+        xmlExact.fromXml(
+          '<root><base64>AAAAAAAAAA==</base64></root>',
+          definition,
+          {
+            validation: true
+          }
+        ),
+      ValidationError,
+      'Expected root.base64 to have a length of at most 6 found 7'
+    )
+  })
+
+  it('unknown elements', () => {
+    const xml = [
+      '<root>',
+      '  <int>1</int>',
+      '  <unknown><nested>1</nested></unknown>',
+      '  <other>2</other>',
+      '</root>'
+    ].join('\n')
+    try {
+      xmlExact.fromXml(xml, definition, { validation: 'all' })
+    } catch (error) {
+      assert.deepEqual(error.errors.map(e => e.message), [
+        'Found unknown element root.unknown',
+        'Found unknown element root.other'
+      ])
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('values are still coerced without validation', () => {
+    const obj = xmlExact.fromXml('<root><int>abc</int></root>', definition)
+    assert.isNaN(obj.root.int)
+  })
+})
+
+describe('Validation of attributes', () => {
+  const definition = {
+    order$attributes: {
+      version$fixed: '2',
+      id$type: 'int',
+      id$required: true,
+      code$type: 'string',
+      code$length: [1, 3],
+      express$type: 'boolean',
+      express$default: 'false'
+    },
+    order: {
+      line$type: 'int'
+    }
+  }
+
+  it('toXml', () => {
+    const obj = {
+      order: { $id: 'abc', $code: 'ABCD', $version: '1', line: 1 }
+    }
+    try {
+      xmlExact.toXml(obj, 'order', definition, { validation: 'all' })
+    } catch (error) {
+      assert.deepEqual(error.errors.map(e => e.message), [
+        "Expected order.$version to have the fixed value '2' found '1'",
+        "Expected order.$id to be of type int found 'abc'",
+        'Expected order.$code to have a length of at most 3 found 4'
+      ])
+      assert.strictEqual(error.errors[0].path, 'order.$version')
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('toXml required attribute', () => {
+    assert.throws(
+      () =>
+        xmlExact.toXml({ order: { line: 1 } }, 'order', definition, {
+          validation: true
+        }),
+      ValidationError,
+      'Expected required attribute order.$id to be present'
+    )
+  })
+
+  it('fromXml', () => {
+    const xml =
+      '<order version="1" code="" express="maybe"><line>1</line></order>'
+    try {
+      xmlExact.fromXml(xml, definition, { validation: 'all' })
+    } catch (error) {
+      assert.deepEqual(error.errors.map(e => e.message), [
+        "Expected order.$version to have the fixed value '2' found '1'",
+        'Expected order.$code to have a length of at least 1 found 0',
+        "Expected order.$express to be of type boolean found 'maybe'",
+        'Expected required attribute order.$id to be present'
+      ])
+      return
+    }
+    assert.fail('Should throw exception with errors')
+  })
+
+  it('valid attributes', () => {
+    const obj = xmlExact.fromXml(
+      '<order id="12" version="2"><line>1</line></order>',
+      definition,
+      { validation: true }
+    )
+    assert.deepEqual(obj, { order: { $id: 12, $express: false, line: 1 } })
+    assert.strictEqual(
+      xmlExact.toXml(obj, 'order', definition, { validation: true }),
+      [
+        '<order express="false" id="12" version="2">',
+        '  <line>1</line>',
+        '</order>'
+      ].join('\n')
+    )
+  })
+})
+
+describe('Validation of choices', () => {
+  const definition = {
+    payment$choice: [
+      { elements: ['card', ['iban', 'bic']], minOccurs: 1, maxOccurs: 1 }
+    ],
+    payment: {
+      card$type: 'string',
+      iban$type: 'string',
+      bic$type: 'string'
+    },
+    contact$choice: [
+      { elements: ['phone', 'email'], minOccurs: 0, maxOccurs: 2 }
+    ],
+    contact: {
+      phone$type: ['string', 0, 2],
+      email$type: ['string', 0, 2]
+    }
+  }
+
+  it('valid choices', () => {
+    for (let payment of [{ card: '1234' }, { iban: 'DK50', bic: 'DABA' }]) {
+      const xml = xmlExact.toXml({ payment }, 'payment', definition, {
+        validation: true
+      })
+      assert.deepEqual(
+        xmlExact.fromXml(xml, definition, { validation: true }).payment,
+        payment
+      )
+    }
+    xmlExact.toXml({ contact: { phone: ['1', '2'] } }, 'contact', definition, {
+      validation: true
+    })
+  })
+
+  it('toXml', () => {
+    assert.throws(
+      () =>
+        xmlExact.toXml(
+          { payment: { card: '1234', iban: 'DK50' } },
+          'payment',
+          definition,
+          { validation: true }
+        ),
+      ValidationError,
+      'Expected only one of card | iban, bic in payment found 2'
+    )
+    assert.throws(
+      () =>
+        xmlExact.toXml(
+          { contact: { phone: ['1', '2'], email: 'a@b.c' } },
+          'contact',
+          definition,
+          { validation: true }
+        ),
+      ValidationError,
+      'Expected at most 2 of phone | email in contact found 3'
+    )
+  })
+
+  it('fromXml', () => {
+    try {
+      xmlExact.fromXml('<payment></payment>', definition, { validation: true })
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.strictEqual(
+        error.message,
+        'Expected one of card | iban, bic in payment to be present'
+      )
+      assert.deepEqual(error.expected, { choice: ['card', ['iban', 'bic']] })
+      return
+    }
+    assert.fail('Should throw exception')
+  })
+
+  it('counts list values as one occurrence', () => {
+    const listDefinition = {
+      root$choice: [{ elements: ['b', ['c', 'd']] }],
+      root: {
+        b$type: 'string',
+        c$type: 'int[]',
+        d$type: 'string'
+      }
+    }
+    const xml = '<root>\n  <c>1 2</c>\n  <d>x</d>\n</root>'
+    const obj = xmlExact.fromXml(xml, listDefinition, { validation: true })
+    assert.deepEqual(obj.root, { c: [1, 2], d: 'x' })
+    assert.strictEqual(
+      xmlExact.toXml(obj, 'root', listDefinition, { validation: true }),
+      xml
+    )
+  })
+})
+
+describe('Validation of recursive types', () => {
+  const definition = {
+    $types: {
+      Node: {
+        name$type: 'string',
+        size$type: 'int',
+        node$type: ['', 0, 2],
+        node$ref: 'Node'
+      }
+    },
+    tree$ref: 'Node'
+  }
+
+  it('toXml', () => {
+    assert.throws(
+      () =>
+        xmlExact.toXml(
+          { tree: { node: [{ node: [{}, {}, {}] }] } },
+          'tree',
+          definition,
+          { validation: true }
+        ),
+      ValidationError,
+      'Expected tree.node[0].node to have at most 2 items found 3'
+    )
+  })
+
+  it('fromXml', () => {
+    assert.throws(
+      () =>
+        xmlExact.fromXml(
+          '<tree><node><node><size>a</size></node></node></tree>',
+          definition,
+          { validation: true }
+        ),
+      ValidationError,
+      "Expected tree.node[0].node[0].size to be of type int found 'a'"
+    )
+  })
+})
+
+describe('Validation of facets', () => {
+  const definition = {
+    order$attributes: {
+      status$type: 'string',
+      status$enumeration: ['new', 'shipped']
+    },
+    order: {
+      sku$type: 'string',
+      sku$pattern: '[A-Z]{3}-\\d+',
+      quantity$type: ['int', 0, 2],
+      quantity$minInclusive: 1,
+      quantity$maxExclusive: 100,
+      price$type: 'decimal',
+      price$totalDigits: 5,
+      price$fractionDigits: 2,
+      size$type: 'int',
+      size$enumeration: ['1', '2', '3']
+    }
+  }
+
+  it('valid facets', () => {
+    const order = {
+      $status: 'new',
+      sku: 'ABC-12',
+      quantity: [1, 99],
+      price: 123.45,
+      size: 2
+    }
+    const xml = xmlExact.toXml({ order }, 'order', definition, {
+      validation: true
+    })
+    assert.deepEqual(
+      xmlExact.fromXml(xml, definition, { validation: true }).order,
+      order
+    )
+  })
+
+  it('toXml', () => {
+    const cases = [
+      [
+        { sku: 'AB-12' },
+        "Expected order.sku to match the pattern [A-Z]{3}-\\d+ found 'AB-12'"
+      ],
+      [
+        { quantity: [0] },
+        'Expected order.quantity[0] to be at least 1 found 0'
+      ],
+      [
+        { quantity: [1, 100] },
+        'Expected order.quantity[1] to be less than 100 found 100'
+      ],
+      [
+        { price: 12345.6 },
+        'Expected order.price to have at most 5 digits found 6'
+      ],
+      [
+        { price: 1.005 },
+        'Expected order.price to have at most 2 fraction digits found 3'
+      ],
+      [{ size: 4 }, "Expected order.size to be one of '1', '2', '3' found '4'"]
+    ]
+    for (let [order, message] of cases) {
+      assert.throws(
+        () =>
+          xmlExact.toXml({ order }, 'order', definition, { validation: true }),
+        ValidationError,
+        message
+      )
+    }
+  })
+
+  it('fromXml', () => {
+    try {
+      xmlExact.fromXml('<order status="lost"></order>', definition, {
+        validation: true
+      })
+    } catch (error) {
+      assert.instanceOf(error, ValidationError)
+      assert.strictEqual(
+        error.message,
+        "Expected order.$status to be one of 'new', 'shipped' found 'lost'"
+      )
+      assert.deepEqual(error.expected, { enumeration: ['new', 'shipped'] })
+      return
+    }
+    assert.fail('Should throw exception')
+  })
+
+  it('translates XSD regular expressions', () => {
+    const patternDefinition = {
+      item: {
+        name$pattern: '\\i\\c*',
+        price$pattern: '\\d+\\$',
+        vowels$pattern: '[a-z-[aeiou]]+',
+        latin$pattern: '\\p{IsBasicLatin}+'
+      }
+    }
+    const item = { name: '_a-1', price: '10$', vowels: 'xyz', latin: 'abc' }
+    xmlExact.toXml({ item }, 'item', patternDefinition, { validation: true })
+    const cases = [
+      [{ name: '1a' }, "item.name to match the pattern \\i\\c* found '1a'"],
+      [{ price: '10' }, "item.price to match the pattern \\d+\\$ found '10'"],
+      [{ vowels: 'abc' }, 'item.vowels to match the pattern'],
+      [{ latin: 'æ' }, 'item.latin to match the pattern']
+    ]
+    for (let [values, message] of cases) {
+      assert.throws(
+        () =>
+          xmlExact.toXml(
+            { item: { ...item, ...values } },
+            'item',
+            patternDefinition,
+            { validation: true }
+          ),
+        ValidationError,
+        message
+      )
+    }
+  })
+
+  it('reports patterns that can not be translated', () => {
+    const patternDefinition = {
+      item: { code$type: 'string', code$pattern: '\\p{IsUnknown}' }
+    }
+    assert.throws(
+      () =>
+        xmlExact.fromXml('<item><code>a</code></item>', patternDefinition, {
+          validation: true
+        }),
+      ValidationError,
+      'Expected item.code to match the pattern \\p{IsUnknown} which is not ' +
+        'supported: Unknown unicode block IsUnknown'
+    )
+    assert.deepEqual(xmlExact.generateSample('item', patternDefinition), {
+      item: { code: ' ' }
+    })
+  })
+})
+
+describe('Validation of list types', () => {
+  const definition = {
+    item: {
+      ids$type: 'int[]',
+      ids$length: [1, 3],
+      dates$type: ['date[]', 0, 2]
+    }
+  }
+
+  it('toXml', () => {
+    const cases = [
+      [
+        { ids: [1, 2.5] },
+        "Expected item.ids to be of type int[] found '[1,2.5]'"
+      ],
+      [
+        { ids: [1, 2, 3, 4] },
+        'Expected item.ids to have a length of at most 3 found 4'
+      ],
+      [{ ids: [] }, 'Expected item.ids to have a length of at least 1 found 0']
+    ]
+    for (let [item, message] of cases) {
+      assert.throws(
+        () =>
+          xmlExact.toXml({ item }, 'item', definition, { validation: true }),
+        ValidationError,
+        message
+      )
+    }
+    xmlExact.toXml(
+      { item: { ids: [1], dates: [[new Date(0)], []] } },
+      'item',
+      definition,
+      { validation: true }
+    )
+  })
+
+  it('fromXml', () => {
+    assert.throws(
+      () =>
+        xmlExact.fromXml(
+          '<item><ids>1</ids><dates>2019-01-02 2019-02-30</dates></item>',
+          definition,
+          { validation: true }
+        ),
+      ValidationError,
+      "Expected item.dates[0] to be of type date[] found '2019-01-02 2019-02-30'"
+    )
+  })
 })
@@ -63,12 +63,15 @@ describe('XSD definition generation', () => {
       plain$namespace: 'myns',
       simple$attributes: { 'xmlns:myns': 'http://tempuri.org' },
       simple$type: 'string',
+      simple$pattern: '[a-zA-Z0-9]{8}',
       simple$namespace: 'myns',
       complexAll$attributes: { 'xmlns:myns': 'http://tempuri.org' },
       complexAll$namespace: 'myns',
       complexAll: {
+        tickerSymbola$required: true,
         tickerSymbola$type: 'string',
         tickerSymbola$namespace: 'myns',
+        tickerSymbolb$required: true,
         tickerSymbolb$type: 'string',
         tickerSymbolb$namespace: 'myns'
       },
@@ -76,8 +79,10 @@ describe('XSD definition generation', () => {
       complexSequence$order: ['tickerSymbol1', 'tickerSymbol2', 'plainArray'],
       complexSequence$namespace: 'myns',
       complexSequence: {
+        tickerSymbol1$required: true,
         tickerSymbol1$type: 'string',
         tickerSymbol1$namespace: 'myns',
+        tickerSymbol2$required: true,
         tickerSymbol2$type: 'string',
         tickerSymbol2$namespace: 'myns',
         plainArray$type: ['string', 0, 2],
@@ -89,8 +94,10 @@ describe('XSD definition generation', () => {
       refrencedComplexSequence$order: ['tickerSymbolx', 'tickerSymboly'],
       refrencedComplexSequence$namespace: 'myns',
       refrencedComplexSequence: {
+        tickerSymbolx$required: true,
         tickerSymbolx$type: 'string',
         tickerSymbolx$namespace: 'myns',
+        tickerSymboly$required: true,
         tickerSymboly$type: 'string',
         tickerSymboly$namespace: 'myns'
       },
@@ -153,8 +160,10 @@ describe('XSD definition generation', () => {
     let expectedXsdDefinition = {
       MyElement: {
         tickerSymbol1$namespace: 'myns',
+        tickerSymbol1$required: true,
         tickerSymbol1$type: 'string',
         tickerSymbol2$namespace: 'myns',
+        tickerSymbol2$required: true,
         tickerSymbol2$type: 'string'
       },
       MyElement$attributes: {
@@ -170,3 +179,1026 @@ describe('XSD definition generation', () => {
     assert.deepEqual(generatedXsdDefinition, expectedXsdDefinition)
   })
 })
+
+describe('XSD attribute extraction', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" elementFormDefault="qualified" targetNamespace="http://tempuri.org">',
+    '  <xs:attribute name="lang" type="xs:language" />',
+    '  <xs:attributeGroup name="auditAttributes">',
+    '    <xs:attribute name="createdBy" type="xs:string" use="required" />',
+    '    <xs:attribute name="revision" type="myns:revisionType" default="1" />',
+    '  </xs:attributeGroup>',
+    '  <xs:simpleType name="revisionType">',
+    '    <xs:restriction base="xs:int" />',
+    '  </xs:simpleType>',
+    '  <xs:complexType name="AmountType">',
+    '    <xs:simpleContent>',
+    '      <xs:extension base="xs:decimal">',
+    '        <xs:attribute name="currencyID" type="xs:string" use="required" />',
+    '      </xs:extension>',
+    '    </xs:simpleContent>',
+    '  </xs:complexType>',
+    '  <xs:complexType name="PriceAmountType">',
+    '    <xs:simpleContent>',
+    '      <xs:extension base="myns:AmountType">',
+    '        <xs:attribute name="net" type="xs:boolean" />',
+    '      </xs:extension>',
+    '    </xs:simpleContent>',
+    '  </xs:complexType>',
+    '  <xs:element name="order">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="price" type="myns:PriceAmountType" />',
+    '        <xs:element name="flag">',
+    '          <xs:complexType>',
+    '            <xs:attribute name="set" type="xs:boolean" fixed="true" />',
+    '          </xs:complexType>',
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '      <xs:attribute name="id" type="xs:int" use="required" />',
+    '      <xs:attribute name="version" form="qualified" fixed="2.0" />',
+    '      <xs:attribute ref="myns:lang" />',
+    '      <xs:attribute ref="xml:space" />',
+    '      <xs:attributeGroup ref="myns:auditAttributes" />',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  it('generates $attributes', () => {
+    const expectedDefinition = {
+      order$attributes: {
+        'xmlns:myns': 'http://tempuri.org',
+        id$type: 'int',
+        id$required: true,
+        'myns:version$type': 'string',
+        'myns:version$fixed': '2.0',
+        'myns:lang$type': 'language',
+        'xml:space$type': 'string',
+        createdBy$type: 'string',
+        createdBy$required: true,
+        revision$type: 'int',
+        revision$default: '1'
+      },
+      order$namespace: 'myns',
+      order$order: ['price', 'flag'],
+      order: {
+        price$required: true,
+        price$type: 'decimal',
+        price$namespace: 'myns',
+        price$attributes: {
+          currencyID$type: 'string',
+          currencyID$required: true,
+          net$type: 'boolean'
+        },
+        flag$required: true,
+        flag$type: 'empty',
+        flag$namespace: 'myns',
+        flag$attributes: {
+          set$type: 'boolean',
+          set$fixed: 'true'
+        }
+      }
+    }
+
+    const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+      'xmlns:myns': 'http://tempuri.org'
+    })
+    assert.deepEqual(generatedDefinition, expectedDefinition)
+  })
+
+  it('uses attributeFormDefault', () => {
+    const generatedDefinition = xmlExact.generateDefinition(
+      xsdXml.replace(
+        'elementFormDefault="qualified"',
+        'elementFormDefault="qualified" attributeFormDefault="qualified"'
+      ),
+      'xsd',
+      { 'xmlns:myns': 'http://tempuri.org' }
+    )
+    assert.deepEqual(Object.keys(generatedDefinition.order.price$attributes), [
+      'myns:currencyID$type',
+      'myns:currencyID$required',
+      'myns:net$type'
+    ])
+  })
+})
+
+describe('XSD compositors', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:group name="addressGroup">',
+    '    <xs:sequence>',
+    '      <xs:element name="street" type="xs:string" />',
+    '      <xs:element name="city" type="xs:string" />',
+    '    </xs:sequence>',
+    '  </xs:group>',
+    '  <xs:element name="payment">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="id" type="xs:int" />',
+    '        <xs:choice>',
+    '          <xs:element name="card" type="xs:string" />',
+    '          <xs:sequence>',
+    '            <xs:element name="iban" type="xs:string" />',
+    '            <xs:element name="bic" type="xs:string" />',
+    '          </xs:sequence>',
+    '        </xs:choice>',
+    '        <xs:group ref="myns:addressGroup" minOccurs="0" />',
+    '        <xs:sequence maxOccurs="unbounded">',
+    '          <xs:element name="note" type="xs:string" />',
+    '        </xs:sequence>',
+    '        <xs:element name="amount" type="xs:decimal" />',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '  <xs:element name="contact">',
+    '    <xs:complexType>',
+    '      <xs:choice minOccurs="0" maxOccurs="3">',
+    '        <xs:element name="phone" type="xs:string" />',
+    '        <xs:element name="email" type="xs:string" />',
+    '      </xs:choice>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const expectedDefinition = {
+    payment$namespace: 'myns',
+    payment$attributes: { 'xmlns:myns': 'http://tempuri.org' },
+    payment$order: [
+      'id',
+      'card',
+      'iban',
+      'bic',
+      'street',
+      'city',
+      'note',
+      'amount'
+    ],
+    payment$choice: [
+      { elements: ['card', ['iban', 'bic']], minOccurs: 1, maxOccurs: 1 }
+    ],
+    payment: {
+      id$required: true,
+      id$type: 'int',
+      card$type: 'string',
+      iban$type: 'string',
+      bic$type: 'string',
+      street$type: 'string',
+      city$type: 'string',
+      note$type: ['string', 1, Number.MAX_VALUE],
+      amount$required: true,
+      amount$type: 'decimal'
+    },
+    contact$namespace: 'myns',
+    contact$attributes: { 'xmlns:myns': 'http://tempuri.org' },
+    contact$choice: [
+      { elements: ['phone', 'email'], minOccurs: 0, maxOccurs: 3 }
+    ],
+    contact: {
+      phone$type: ['string', 0, 3],
+      email$type: ['string', 0, 3]
+    }
+  }
+
+  it('flattens choices, groups and nested sequences', () => {
+    const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+      'xmlns:myns': 'http://tempuri.org'
+    })
+    assert.deepEqual(generatedDefinition, expectedDefinition)
+  })
+
+  it('generates samples with the first alternative of choices', () => {
+    const sample = xmlExact.generateSample('payment', expectedDefinition)
+    assert.deepEqual(Object.keys(sample.payment), [
+      'id',
+      'card',
+      'street',
+      'city',
+      'note',
+      'amount'
+    ])
+    assert.deepEqual(sample.payment.note, [' '])
+  })
+})
+
+describe('XSD type inheritance', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:complexType name="PartyType">',
+    '    <xs:sequence>',
+    '      <xs:element name="name" type="xs:string" />',
+    '      <xs:element name="phone" type="xs:string" minOccurs="0" maxOccurs="unbounded" />',
+    '    </xs:sequence>',
+    '    <xs:attribute name="id" type="xs:int" use="required" />',
+    '    <xs:attribute name="status" type="xs:string" />',
+    '  </xs:complexType>',
+    '  <xs:complexType name="CustomerType">',
+    '    <xs:complexContent>',
+    '      <xs:extension base="myns:PartyType">',
+    '        <xs:sequence>',
+    '          <xs:element name="creditLimit" type="xs:decimal" />',
+    '        </xs:sequence>',
+    '        <xs:attribute name="vip" type="xs:boolean" default="false" />',
+    '      </xs:extension>',
+    '    </xs:complexContent>',
+    '  </xs:complexType>',
+    '  <xs:complexType name="AnonymousPartyType">',
+    '    <xs:complexContent>',
+    '      <xs:restriction base="myns:PartyType">',
+    '        <xs:sequence>',
+    '          <xs:element name="name" type="xs:string" />',
+    '        </xs:sequence>',
+    '        <xs:attribute name="status" use="prohibited" />',
+    '      </xs:restriction>',
+    '    </xs:complexContent>',
+    '  </xs:complexType>',
+    '  <xs:complexType name="AmountType">',
+    '    <xs:simpleContent>',
+    '      <xs:extension base="xs:decimal">',
+    '        <xs:attribute name="currency" type="xs:string" />',
+    '      </xs:extension>',
+    '    </xs:simpleContent>',
+    '  </xs:complexType>',
+    '  <xs:element name="sale">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="customer" type="myns:CustomerType" />',
+    '        <xs:element name="seller" type="myns:AnonymousPartyType" />',
+    '        <xs:element name="amount" type="myns:AmountType" />',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const expectedDefinition = {
+    sale$namespace: 'myns',
+    sale$attributes: { 'xmlns:myns': 'http://tempuri.org' },
+    sale$order: ['customer', 'seller', 'amount'],
+    sale: {
+      customer$order: ['name', 'phone', 'creditLimit'],
+      customer$attributes: {
+        id$type: 'int',
+        id$required: true,
+        status$type: 'string',
+        vip$type: 'boolean',
+        vip$default: 'false'
+      },
+      customer$required: true,
+      customer: {
+        name$required: true,
+        name$type: 'string',
+        phone$type: ['string', 0, Number.MAX_VALUE],
+        creditLimit$required: true,
+        creditLimit$type: 'decimal'
+      },
+      seller$order: ['name'],
+      seller$attributes: { id$type: 'int', id$required: true },
+      seller$required: true,
+      seller: { name$type: 'string', name$required: true },
+      amount$required: true,
+      amount$type: 'decimal',
+      amount$attributes: { currency$type: 'string' }
+    }
+  }
+
+  it('merges base types into complexContent extensions and restrictions', () => {
+    const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+      'xmlns:myns': 'http://tempuri.org'
+    })
+    assert.deepEqual(generatedDefinition, expectedDefinition)
+  })
+
+  it('converts XML with the generated definition', () => {
+    const xml = [
+      '<myns:sale xmlns:myns="http://tempuri.org">',
+      '  <customer id="1" status="new">',
+      '    <name>Alice</name>',
+      '    <phone>1234</phone>',
+      '    <creditLimit>100.5</creditLimit>',
+      '  </customer>',
+      '  <seller id="2">',
+      '    <name>Bob</name>',
+      '  </seller>',
+      '  <amount currency="DKK">10.25</amount>',
+      '</myns:sale>'
+    ].join('\n')
+    const obj = xmlExact.fromXml(xml, expectedDefinition, { validation: true })
+    assert.deepInclude(obj.sale.customer, {
+      $id: 1,
+      $status: 'new',
+      $vip: false,
+      name: 'Alice',
+      phone: ['1234'],
+      creditLimit: 100.5
+    })
+    assert.deepEqual(obj.sale.seller, { $id: 2, name: 'Bob' })
+    assert.deepEqual(obj.sale.amount, { $currency: 'DKK', $: 10.25 })
+  })
+})
+
+describe('XSD with multiple files', () => {
+  const mainXsd = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:o="http://example.com/orders" xmlns:a="http://example.com/address" targetNamespace="http://example.com/orders">',
+    '  <xs:include schemaLocation="common/types.xsd" />',
+    '  <xs:import namespace="http://example.com/address" schemaLocation="address.xsd" />',
+    '  <xs:import namespace="http://www.w3.org/XML/1998/namespace" schemaLocation="http://www.w3.org/2001/xml.xsd" />',
+    '  <xs:element name="order">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="id" type="o:OrderIdType" />',
+    '        <xs:element name="address" type="a:AddressType" />',
+    '      </xs:sequence>',
+    '      <xs:attributeGroup ref="o:auditAttributes" />',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const schemas = {
+    'common/types.xsd': [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:t="http://example.com/orders" targetNamespace="http://example.com/orders">',
+      '  <xs:include schemaLocation="../main.xsd" />',
+      '  <xs:simpleType name="OrderIdType">',
+      '    <xs:restriction base="xs:int" />',
+      '  </xs:simpleType>',
+      '  <xs:attributeGroup name="auditAttributes">',
+      '    <xs:attribute name="createdBy" type="xs:string" />',
+      '  </xs:attributeGroup>',
+      '  <xs:element name="ping" type="xs:string" />',
+      '</xs:schema>'
+    ].join('\n'),
+    'address.xsd': [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:addr="http://example.com/address" targetNamespace="http://example.com/address" elementFormDefault="qualified">',
+      '  <xs:simpleType name="ZipType">',
+      '    <xs:restriction base="xs:string" />',
+      '  </xs:simpleType>',
+      '  <xs:complexType name="AddressType">',
+      '    <xs:sequence>',
+      '      <xs:element name="street" type="xs:string" />',
+      '      <xs:element name="zip" type="addr:ZipType" />',
+      '    </xs:sequence>',
+      '  </xs:complexType>',
+      '</xs:schema>'
+    ].join('\n')
+  }
+
+  const expectedDefinition = {
+    order$namespace: 'o',
+    order$attributes: {
+      'xmlns:o': 'http://example.com/orders',
+      'xmlns:addr': 'http://example.com/address',
+      createdBy$type: 'string'
+    },
+    order$order: ['id', 'address'],
+    order: {
+      id$required: true,
+      id$type: 'int',
+      address$order: ['street', 'zip'],
+      address$required: true,
+      address: {
+        street$required: true,
+        street$type: 'string',
+        street$namespace: 'addr',
+        zip$required: true,
+        zip$type: 'string',
+        zip$namespace: 'addr'
+      }
+    },
+    ping$namespace: 'o',
+    ping$attributes: { 'xmlns:o': 'http://example.com/orders' },
+    ping$type: 'string'
+  }
+
+  it('resolves includes and imports from a set of documents', () => {
+    const generatedDefinition = xmlExact.generateDefinition(
+      mainXsd,
+      'xsd',
+      { 'xmlns:o': 'http://example.com/orders' },
+      { schemas: Object.assign({ 'main.xsd': mainXsd }, schemas) }
+    )
+    assert.deepEqual(generatedDefinition, expectedDefinition)
+  })
+
+  it('resolves includes and imports with a resolver callback', () => {
+    let requested = []
+    const generatedDefinition = xmlExact.generateDefinition(
+      mainXsd,
+      'xsd',
+      { 'xmlns:o': 'http://example.com/orders' },
+      {
+        schemaLocation: 'main.xsd',
+        resolveSchema: (location, namespace) => {
+          requested.push([location, namespace])
+          return schemas[location]
+        }
+      }
+    )
+    assert.deepEqual(generatedDefinition, expectedDefinition)
+    assert.deepEqual(requested, [
+      ['common/types.xsd', 'http://example.com/orders'],
+      ['address.xsd', 'http://example.com/address'],
+      ['http://www.w3.org/2001/xml.xsd', 'http://www.w3.org/XML/1998/namespace']
+    ])
+  })
+
+  it('fails when an included schema is missing', () => {
+    assert.throws(
+      () =>
+        xmlExact.generateDefinition(
+          mainXsd,
+          'xsd',
+          { 'xmlns:o': 'http://example.com/orders' },
+          { schemas: {} }
+        ),
+      "Could not find schema 'common/types.xsd'"
+    )
+  })
+
+  it('replaces redefined types', () => {
+    const partyXsd = [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:p="http://example.com/party" targetNamespace="http://example.com/party">',
+      '  <xs:complexType name="PartyType">',
+      '    <xs:sequence>',
+      '      <xs:element name="name" type="xs:string" />',
+      '    </xs:sequence>',
+      '  </xs:complexType>',
+      '  <xs:element name="party" type="p:PartyType" />',
+      '</xs:schema>'
+    ].join('\n')
+    const xsd = [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:p="http://example.com/party" targetNamespace="http://example.com/party">',
+      '  <xs:redefine schemaLocation="party.xsd">',
+      '    <xs:complexType name="PartyType">',
+      '      <xs:complexContent>',
+      '        <xs:extension base="p:PartyType">',
+      '          <xs:sequence>',
+      '            <xs:element name="email" type="xs:string" />',
+      '          </xs:sequence>',
+      '        </xs:extension>',
+      '      </xs:complexContent>',
+      '    </xs:complexType>',
+      '  </xs:redefine>',
+      '</xs:schema>'
+    ].join('\n')
+    const generatedDefinition = xmlExact.generateDefinition(
+      xsd,
+      'xsd',
+      { 'xmlns:p': 'http://example.com/party' },
+      { schemas: { 'party.xsd': partyXsd } }
+    )
+    assert.deepEqual(generatedDefinition, {
+      party$namespace: 'p',
+      party$attributes: { 'xmlns:p': 'http://example.com/party' },
+      party$order: ['name', 'email'],
+      party: {
+        name$type: 'string',
+        name$required: true,
+        email$type: 'string',
+        email$required: true
+      }
+    })
+  })
+})
+
+describe('XSD type references', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:simpleType name="CodeType">',
+    '    <xs:restriction base="myns:ShortCodeType" />',
+    '  </xs:simpleType>',
+    '  <xs:simpleType name="ShortCodeType">',
+    '    <xs:restriction base="myns:TokenType">',
+    '      <xs:maxLength value="4" />',
+    '    </xs:restriction>',
+    '  </xs:simpleType>',
+    '  <xs:simpleType name="TokenType">',
+    '    <xs:restriction base="myns:TextType">',
+    '      <xs:maxLength value="100" />',
+    '    </xs:restriction>',
+    '  </xs:simpleType>',
+    '  <xs:simpleType name="TextType">',
+    '    <xs:restriction base="xs:string" />',
+    '  </xs:simpleType>',
+    '  <xs:complexType name="NodeType">',
+    '    <xs:sequence>',
+    '      <xs:element name="code" type="myns:CodeType" />',
+    '      <xs:element name="node" type="myns:NodeType" minOccurs="0" maxOccurs="unbounded" />',
+    '    </xs:sequence>',
+    '  </xs:complexType>',
+    '  <xs:element name="tree" type="myns:NodeType" />',
+    '  <xs:element name="forest">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="tree" type="myns:NodeType" maxOccurs="unbounded" />',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  it('follows simpleType chains of any length', () => {
+    const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+      'xmlns:myns': 'http://tempuri.org'
+    })
+    assert.deepEqual(generatedDefinition.$types.NodeType, {
+      $order: ['code', 'node'],
+      code$required: true,
+      code$type: 'string',
+      code$length: [0, 4],
+      node$type: [undefined, 0, Number.MAX_VALUE],
+      node$ref: 'NodeType'
+    })
+  })
+
+  it('references recursive complexTypes', () => {
+    const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+      'xmlns:myns': 'http://tempuri.org'
+    })
+    assert.deepEqual(Object.keys(generatedDefinition.$types), ['NodeType'])
+    assert.strictEqual(generatedDefinition.tree$ref, 'NodeType')
+    assert.deepEqual(generatedDefinition.forest, {
+      tree$type: [undefined, 0, Number.MAX_VALUE],
+      tree$ref: 'NodeType'
+    })
+
+    const xml = [
+      '<myns:tree xmlns:myns="http://tempuri.org">',
+      '  <code>a</code>',
+      '  <node>',
+      '    <code>b</code>',
+      '  </node>',
+      '</myns:tree>'
+    ].join('\n')
+    const obj = xmlExact.fromXml(xml, generatedDefinition, { validation: true })
+    assert.deepEqual(obj, {
+      tree: { code: 'a', node: [{ code: 'b' }] }
+    })
+    assert.strictEqual(xmlExact.toXml(obj, 'tree', generatedDefinition), xml)
+  })
+
+  it('rejects circular simpleTypes', () => {
+    assert.throws(
+      () =>
+        xmlExact.generateDefinition(
+          xsdXml.replace('base="xs:string"', 'base="myns:CodeType"'),
+          'xsd',
+          { 'xmlns:myns': 'http://tempuri.org' }
+        ),
+      "Circular reference for type 'myns:CodeType'"
+    )
+  })
+
+  it('keeps the attributes of recursive root types', () => {
+    const recursiveXsd = [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+      '  <xs:complexType name="NodeType">',
+      '    <xs:sequence>',
+      '      <xs:element name="node" type="myns:NodeType" minOccurs="0" maxOccurs="unbounded" />',
+      '    </xs:sequence>',
+      '    <xs:attribute name="id" type="xs:int" use="required" />',
+      '  </xs:complexType>',
+      '  <xs:element name="node" type="myns:NodeType" />',
+      '</xs:schema>'
+    ].join('\n')
+    const generatedDefinition = xmlExact.generateDefinition(
+      recursiveXsd,
+      'xsd',
+      { 'xmlns:myns': 'http://tempuri.org' }
+    )
+    const xml = [
+      '<myns:node id="1" xmlns:myns="http://tempuri.org">',
+      '  <node id="2" />',
+      '</myns:node>'
+    ].join('\n')
+
+    const obj = xmlExact.fromXml(xml, generatedDefinition, { validation: true })
+    assert.deepEqual(obj, { node: { $id: 1, node: [{ $id: 2 }] } })
+    assert.strictEqual(
+      xmlExact.toXml(obj, 'node', generatedDefinition, { validation: true }),
+      xml
+    )
+    assert.throws(
+      () =>
+        xmlExact.fromXml(xml.replace(' id="1"', ''), generatedDefinition, {
+          validation: true
+        }),
+      'Expected required attribute node.$id to be present'
+    )
+  })
+})
+
+describe('XSD named types', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:complexType name="AddressType">',
+    '    <xs:sequence>',
+    '      <xs:element name="street" type="xs:string" />',
+    '      <xs:element name="zip" type="xs:int" />',
+    '    </xs:sequence>',
+    '    <xs:attribute name="country" type="xs:string" />',
+    '  </xs:complexType>',
+    '  <xs:complexType name="AmountType">',
+    '    <xs:simpleContent>',
+    '      <xs:extension base="xs:decimal">',
+    '        <xs:attribute name="currency" type="xs:string" />',
+    '      </xs:extension>',
+    '    </xs:simpleContent>',
+    '  </xs:complexType>',
+    '  <xs:element name="invoice">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="billTo" type="myns:AddressType" />',
+    '        <xs:element name="shipTo" type="myns:AddressType" maxOccurs="3" />',
+    '        <xs:element name="total" type="myns:AmountType" />',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const xml = [
+    '<myns:invoice xmlns:myns="http://tempuri.org">',
+    '  <billTo country="DK">',
+    '    <street>Vej 1</street>',
+    '    <zip>1000</zip>',
+    '  </billTo>',
+    '  <shipTo>',
+    '    <street>Vej 2</street>',
+    '    <zip>2000</zip>',
+    '  </shipTo>',
+    '  <total currency="DKK">12.5</total>',
+    '</myns:invoice>'
+  ].join('\n')
+
+  it('references every named complexType with the namedTypes option', () => {
+    const generatedDefinition = xmlExact.generateDefinition(
+      xsdXml,
+      'xsd',
+      { 'xmlns:myns': 'http://tempuri.org' },
+      { namedTypes: true }
+    )
+    assert.deepEqual(generatedDefinition, {
+      invoice$namespace: 'myns',
+      invoice$attributes: { 'xmlns:myns': 'http://tempuri.org' },
+      invoice$order: ['billTo', 'shipTo', 'total'],
+      invoice: {
+        billTo$ref: 'AddressType',
+        billTo$required: true,
+        shipTo$ref: 'AddressType',
+        shipTo$type: [undefined, 0, 3],
+        total$ref: 'AmountType',
+        total$required: true
+      },
+      $types: {
+        AddressType: {
+          $order: ['street', 'zip'],
+          $attributes: { country$type: 'string' },
+          street$required: true,
+          street$type: 'string',
+          zip$required: true,
+          zip$type: 'int'
+        },
+        AmountType: {
+          $type: 'decimal',
+          $attributes: { currency$type: 'string' }
+        }
+      }
+    })
+  })
+
+  it('converts XML the same way as the inlined definition', () => {
+    const namespaces = { 'xmlns:myns': 'http://tempuri.org' }
+    const namedDefinition = xmlExact.generateDefinition(
+      xsdXml,
+      'xsd',
+      namespaces,
+      { namedTypes: true }
+    )
+    const inlinedDefinition = xmlExact.generateDefinition(
+      xsdXml,
+      'xsd',
+      namespaces
+    )
+    const obj = xmlExact.fromXml(xml, namedDefinition, { validation: true })
+    assert.deepEqual(obj, xmlExact.fromXml(xml, inlinedDefinition))
+    assert.deepEqual(obj.invoice.total, { $currency: 'DKK', $: 12.5 })
+    assert.strictEqual(
+      xmlExact.toXml(obj, 'invoice', namedDefinition, { validation: true }),
+      xml
+    )
+    assert.deepEqual(
+      xmlExact.generateSample('invoice', namedDefinition),
+      xmlExact.generateSample('invoice', inlinedDefinition)
+    )
+  })
+})
+
+describe('XSD facets', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:simpleType name="SkuType">',
+    '    <xs:restriction base="xs:string">',
+    '      <xs:pattern value="[A-Z]{3}-\\d+" />',
+    '    </xs:restriction>',
+    '  </xs:simpleType>',
+    '  <xs:simpleType name="ShortSkuType">',
+    '    <xs:restriction base="myns:SkuType">',
+    '      <xs:pattern value="[A-Z]+-\\d" />',
+    '      <xs:pattern value="[A-Z]+-\\d{2}" />',
+    '    </xs:restriction>',
+    '  </xs:simpleType>',
+    '  <xs:element name="order">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="sku" type="myns:ShortSkuType" />',
+    '        <xs:element name="quantity">',
+    '          <xs:simpleType>',
+    '            <xs:restriction base="xs:int">',
+    '              <xs:minInclusive value="1" />',
+    '              <xs:maxExclusive value="100" />',
+    '            </xs:restriction>',
+    '          </xs:simpleType>',
+    '        </xs:element>',
+    '        <xs:element name="price">',
+    '          <xs:simpleType>',
+    '            <xs:restriction base="xs:decimal">',
+    '              <xs:totalDigits value="8" />',
+    '              <xs:fractionDigits value="2" />',
+    '            </xs:restriction>',
+    '          </xs:simpleType>',
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '      <xs:attribute name="status">',
+    '        <xs:simpleType>',
+    '          <xs:restriction base="xs:string">',
+    '            <xs:enumeration value="new" />',
+    '            <xs:enumeration value="shipped" />',
+    '          </xs:restriction>',
+    '        </xs:simpleType>',
+    '      </xs:attribute>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+    'xmlns:myns': 'http://tempuri.org'
+  })
+
+  it('keeps facets from the whole restriction chain', () => {
+    assert.deepEqual(generatedDefinition.order, {
+      sku$required: true,
+      sku$type: 'string',
+      sku$pattern: ['[A-Z]+-\\d|[A-Z]+-\\d{2}', '[A-Z]{3}-\\d+'],
+      quantity$required: true,
+      quantity$type: 'int',
+      quantity$minInclusive: 1,
+      quantity$maxExclusive: 100,
+      price$required: true,
+      price$type: 'decimal',
+      price$totalDigits: 8,
+      price$fractionDigits: 2
+    })
+    assert.deepEqual(generatedDefinition.order$attributes, {
+      'xmlns:myns': 'http://tempuri.org',
+      status$type: 'string',
+      status$enumeration: ['new', 'shipped']
+    })
+  })
+
+  it('generates samples that satisfy the facets', () => {
+    const sample = xmlExact.generateSample('order', generatedDefinition)
+    assert.deepEqual(sample, {
+      order: { sku: 'AAA-0', quantity: 1, price: 0 }
+    })
+    xmlExact.toXml(sample, 'order', generatedDefinition, { validation: true })
+  })
+
+  it('keeps integer bounds above 2^53 exact', () => {
+    const bigXsd = [
+      '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">',
+      '  <xs:element name="id">',
+      '    <xs:simpleType>',
+      '      <xs:restriction base="xs:long">',
+      '        <xs:minInclusive value="1" />',
+      '        <xs:maxInclusive value="9007199254740993" />',
+      '      </xs:restriction>',
+      '    </xs:simpleType>',
+      '  </xs:element>',
+      '</xs:schema>'
+    ].join('\n')
+    const bigDefinition = xmlExact.generateDefinition(bigXsd, 'xsd')
+    assert.strictEqual(bigDefinition.id$minInclusive, 1)
+    assert.strictEqual(bigDefinition.id$maxInclusive, '9007199254740993')
+
+    const options = { validation: true, bigInt: true }
+    assert.deepEqual(
+      xmlExact.fromXml('<id>9007199254740993</id>', bigDefinition, options),
+      { id: BigInt('9007199254740993') }
+    )
+    assert.throws(
+      () =>
+        xmlExact.fromXml('<id>9007199254740994</id>', bigDefinition, options),
+      'Expected id to be at most 9007199254740993 found 9007199254740994'
+    )
+  })
+})
+
+describe('XSD built-in and union types', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:simpleType name="SizeType">',
+    '    <xs:union memberTypes="xs:int xs:date" />',
+    '  </xs:simpleType>',
+    '  <xs:element name="item">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="id" type="xs:ID" />',
+    '        <xs:element name="refs" type="xs:IDREFS" />',
+    '        <xs:element name="size" type="myns:SizeType" />',
+    '        <xs:element name="code">',
+    '          <xs:simpleType>',
+    '            <xs:union memberTypes="xs:positiveInteger">',
+    '              <xs:simpleType>',
+    '                <xs:restriction base="xs:token" />',
+    '              </xs:simpleType>',
+    '            </xs:union>',
+    '          </xs:simpleType>',
+    '        </xs:element>',
+    '        <xs:element name="extra" type="xs:anyType" />',
+    '      </xs:sequence>',
+    '      <xs:attribute name="tokens" type="xs:NMTOKENS" />',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+    'xmlns:myns': 'http://tempuri.org'
+  })
+
+  it('keeps built-in types and joins union members', () => {
+    assert.deepEqual(generatedDefinition.item, {
+      id$required: true,
+      id$type: 'ID',
+      refs$required: true,
+      refs$type: 'IDREFS',
+      size$required: true,
+      size$type: 'int|date',
+      code$required: true,
+      code$type: 'positiveInteger|token',
+      extra$required: true,
+      extra$type: 'any'
+    })
+    assert.deepEqual(generatedDefinition.item$attributes, {
+      'xmlns:myns': 'http://tempuri.org',
+      tokens$type: 'NMTOKENS'
+    })
+  })
+})
+
+describe('XSD list types', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:myns="http://tempuri.org" targetNamespace="http://tempuri.org">',
+    '  <xs:simpleType name="IntList">',
+    '    <xs:list itemType="xs:int" />',
+    '  </xs:simpleType>',
+    '  <xs:simpleType name="ShortIntList">',
+    '    <xs:restriction base="myns:IntList">',
+    '      <xs:maxLength value="3" />',
+    '    </xs:restriction>',
+    '  </xs:simpleType>',
+    '  <xs:element name="item">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="ids" type="myns:ShortIntList" />',
+    '        <xs:element name="flags">',
+    '          <xs:simpleType>',
+    '            <xs:list>',
+    '              <xs:simpleType>',
+    '                <xs:union memberTypes="xs:int xs:boolean" />',
+    '              </xs:simpleType>',
+    '            </xs:list>',
+    '          </xs:simpleType>',
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '      <xs:attribute name="codes">',
+    '        <xs:simpleType>',
+    '          <xs:list itemType="xs:decimal" />',
+    '        </xs:simpleType>',
+    '      </xs:attribute>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd', {
+    'xmlns:myns': 'http://tempuri.org'
+  })
+
+  it('marks list types with []', () => {
+    assert.deepEqual(generatedDefinition.item, {
+      ids$required: true,
+      ids$type: 'int[]',
+      ids$length: [0, 3],
+      flags$required: true,
+      flags$type: 'int|boolean[]'
+    })
+    assert.deepEqual(generatedDefinition.item$attributes, {
+      'xmlns:myns': 'http://tempuri.org',
+      codes$type: 'decimal[]'
+    })
+  })
+
+  it('converts lists to arrays', () => {
+    const xml = [
+      '<myns:item codes="1.5 2" xmlns:myns="http://tempuri.org">',
+      '  <ids>1 2',
+      '  3</ids>',
+      '  <flags>1 true</flags>',
+      '</myns:item>'
+    ].join('\n')
+    const obj = xmlExact.fromXml(xml, generatedDefinition, {
+      validation: true
+    })
+    assert.deepEqual(obj.item, {
+      $codes: [1.5, 2],
+      ids: [1, 2, 3],
+      flags: [1, true]
+    })
+    assert.strictEqual(
+      xmlExact.toXml(obj, 'item', generatedDefinition, { validation: true }),
+      xml.replace('  <ids>1 2\n  3</ids>', '  <ids>1 2 3</ids>')
+    )
+  })
+})
+
+describe('XSD required elements', () => {
+  const xsdXml = [
+    '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">',
+    '  <xs:element name="order">',
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    '        <xs:element name="id" type="xs:int" />',
+    '        <xs:element name="note" type="xs:string" minOccurs="0" />',
+    '        <xs:element name="customer">',
+    '          <xs:complexType>',
+    '            <xs:sequence>',
+    '              <xs:element name="name" type="xs:string" />',
+    '            </xs:sequence>',
+    '          </xs:complexType>',
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>'
+  ].join('\n')
+
+  const generatedDefinition = xmlExact.generateDefinition(xsdXml, 'xsd')
+
+  it('marks elements with minOccurs 1 as required', () => {
+    assert.strictEqual(generatedDefinition.order.id$required, true)
+    assert.strictEqual(generatedDefinition.order.customer$required, true)
+    assert.isUndefined(generatedDefinition.order.note$required)
+  })
+
+  it('reports missing required elements', () => {
+    const convert = [
+      () =>
+        xmlExact.toXml(
+          { order: { customer: {} } },
+          'order',
+          generatedDefinition,
+          { validation: 'all' }
+        ),
+      () =>
+        xmlExact.fromXml(
+          '<order><customer></customer></order>',
+          generatedDefinition,
+          { validation: 'all' }
+        )
+    ]
+    for (let fn of convert) {
+      try {
+        fn()
+      } catch (error) {
+        assert.sameMembers(error.errors.map(error => error.message), [
+          'Expected required element order.id to be present',
+          'Expected required element order.customer.name to be present'
+        ])
+        continue
+      }
+      assert.fail('Should throw exception')
+    }
+    assert.throws(
+      () =>
+        xmlExact.fromXml('<order><id>1</id></order>', generatedDefinition, {
+          validation: true
+        }),
+      'Expected required element order.customer to be present'
+    )
+  })
+})
@@ -2,6 +2,7 @@
 
 const assert = require('chai').assert
 const XmlExact = require('../src/xmlexact')
+const { deleteCustomType } = require('../src/customtypes')
 
 describe('XMLUtils#toXML/fromXML mixed inline and definition', () => {
   it('sample should convert to XML that looks the same as sample_xml', () => {
@@ -340,6 +341,516 @@ describe('Types', function() {
   })
 })
 
+describe('Date and time types', function() {
+  const definition = {
+    event$attributes: {
+      created$type: 'dateTime'
+    },
+    event: {
+      start$type: 'dateTime',
+      localStart$type: 'dateTime',
+      day$type: 'date',
+      at$type: 'time',
+      length$type: 'duration',
+      year$type: 'gYear'
+    },
+    event$order: ['start', 'localStart', 'day', 'at', 'length', 'year']
+  }
+
+  const xml = [
+    '<event created="2020-01-01T00:00:00Z">',
+    '  <start>2020-03-01T10:30:00.5+02:00</start>',
+    '  <localStart>2020-03-01T10:30:00</localStart>',
+    '  <day>2020-02-29-05:00</day>',
+    '  <at>10:30:00</at>',
+    '  <length>-P1DT2H0.5S</length>',
+    '  <year>2020</year>',
+    '</event>'
+  ].join('\n')
+
+  it('from', () => {
+    const obj = XmlExact.fromXml(xml, definition, { validation: true })
+    assert.deepEqual(obj, {
+      event: {
+        $created: new Date('2020-01-01T00:00:00Z'),
+        start: new Date('2020-03-01T08:30:00.500Z'),
+        localStart: new Date('2020-03-01T10:30:00Z'),
+        day: new Date('2020-02-29T05:00:00Z'),
+        at: '10:30:00',
+        length: { negative: true, days: 1, hours: 2, seconds: 0.5 },
+        year: '2020'
+      }
+    })
+    assert.strictEqual(obj.event.start.timezone, '+02:00')
+    assert.strictEqual(obj.event.localStart.timezone, null)
+  })
+
+  it('writes dates back with the timezone they were read with', () => {
+    const obj = XmlExact.fromXml(xml, definition)
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'event', definition, { validation: true }),
+      xml
+    )
+  })
+
+  it('writes other dates with the timezone option', () => {
+    const obj = {
+      event: {
+        start: new Date('2020-01-01T23:00:00Z'),
+        day: new Date('2020-01-01T23:00:00Z'),
+        length: { hours: 1, minutes: 30 }
+      }
+    }
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'event', definition),
+      [
+        '<event>',
+        '  <start>2020-01-01T23:00:00Z</start>',
+        '  <day>2020-01-01</day>',
+        '  <length>PT1H30M</length>',
+        '</event>'
+      ].join('\n')
+    )
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'event', definition, { timezone: '+02:00' }),
+      [
+        '<event>',
+        '  <start>2020-01-02T01:00:00+02:00</start>',
+        '  <day>2020-01-02</day>',
+        '  <length>PT1H30M</length>',
+        '</event>'
+      ].join('\n')
+    )
+  })
+
+  it('validates dates', () => {
+    assert.throws(
+      () =>
+        XmlExact.fromXml('<event><day>2021-02-29</day></event>', definition, {
+          validation: true
+        }),
+      "Expected event.day to be of type date found '2021-02-29'"
+    )
+  })
+
+  it('generates samples', () => {
+    assert.deepEqual(XmlExact.generateSample('event', definition), {
+      event: {
+        start: new Date(0),
+        localStart: new Date(0),
+        day: new Date(0),
+        at: '00:00:00',
+        length: { seconds: 0 },
+        year: '1970'
+      }
+    })
+  })
+})
+
+describe('Large numbers', function() {
+  const definition = {
+    account: {
+      number$type: 'long',
+      balance$type: 'decimal',
+      rate$type: 'decimal',
+      count$type: 'int'
+    },
+    account$order: ['number', 'balance', 'rate', 'count']
+  }
+
+  const xml = [
+    '<account>',
+    '  <number>9223372036854775807</number>',
+    '  <balance>12345678901234567890.12</balance>',
+    '  <rate>0.0000001</rate>',
+    '  <count>2</count>',
+    '</account>'
+  ].join('\n')
+
+  it('converts long to BigInt and decimal to string', () => {
+    const obj = XmlExact.fromXml(xml, definition, {
+      bigInt: true,
+      decimal: 'string',
+      validation: true
+    })
+    assert.deepEqual(obj.account, {
+      number: BigInt('9223372036854775807'),
+      balance: '12345678901234567890.12',
+      rate: '0.0000001',
+      count: 2
+    })
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'account', definition, { validation: true }),
+      xml
+    )
+  })
+
+  it('converts decimal with a decimal constructor', () => {
+    function Decimal(text) {
+      this.text = text
+    }
+    Decimal.prototype.toString = function() {
+      return this.text
+    }
+    const obj = XmlExact.fromXml(xml, definition, {
+      bigInt: true,
+      decimal: text => new Decimal(text)
+    })
+    assert.instanceOf(obj.account.balance, Decimal)
+    assert.strictEqual(obj.account.balance.text, '12345678901234567890.12')
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'account', definition, { validation: true }),
+      xml
+    )
+  })
+
+  it('writes numbers without exponent', () => {
+    const obj = { account: { number: 1e21, balance: 1e21, rate: 1e-7 } }
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'account', definition),
+      [
+        '<account>',
+        '  <number>1000000000000000000000</number>',
+        '  <balance>1000000000000000000000</balance>',
+        '  <rate>0.0000001</rate>',
+        '</account>'
+      ].join('\n')
+    )
+  })
+})
+
+describe('Custom types', function() {
+  const types = ['amount', 'orderId', 'cents', 'bigId', 'exactPrice']
+
+  before(() => {
+    XmlExact.registerType('amount', {
+      parse: text => {
+        let [value, currency] = text.trim().split(' ')
+        return { value: +value, currency }
+      },
+      serialize: amount => `${amount.value} ${amount.currency}`,
+      validate: amount =>
+        isFinite(amount.value) && /^[A-Z]{3}$/.test(amount.currency),
+      sample: () => ({ value: 0, currency: 'EUR' })
+    })
+    XmlExact.registerType('orderId', {
+      validate: id => /^ORD-\d+$/.test(id),
+      sample: () => 'ORD-1'
+    })
+    XmlExact.registerType('cents', { base: 'int' })
+    XmlExact.registerType('bigId', { base: 'long' })
+    XmlExact.registerType('exactPrice', { base: 'decimal' })
+  })
+
+  after(() => {
+    types.forEach(deleteCustomType)
+  })
+
+  const definition = {
+    order$attributes: { id$type: 'orderId' },
+    order: {
+      total$type: 'amount',
+      tax$type: 'amount',
+      tax$attributes: { rate$type: 'decimal' },
+      discount$type: 'cents'
+    },
+    order$order: ['total', 'tax', 'discount']
+  }
+
+  const obj = {
+    order: {
+      $id: 'ORD-2',
+      total: { value: 10.5, currency: 'DKK' },
+      tax: { $: { value: 2.1, currency: 'DKK' }, $rate: 0.25 },
+      discount: 150
+    }
+  }
+
+  const xml = [
+    '<order id="ORD-2">',
+    '  <total>10.5 DKK</total>',
+    '  <tax rate="0.25">2.1 DKK</tax>',
+    '  <discount>150</discount>',
+    '</order>'
+  ].join('\n')
+
+  it('to', () => {
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'order', definition, { validation: true }),
+      xml
+    )
+  })
+
+  it('from', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(xml, definition, { validation: true }),
+      obj
+    )
+  })
+
+  it('validates with the validate function or the base type', () => {
+    assert.throws(
+      () =>
+        XmlExact.fromXml(xml.replace('10.5 DKK', '10.5 dkk'), definition, {
+          validation: true
+        }),
+      "Expected order.total to be of type amount found '10.5 dkk'"
+    )
+    assert.throws(
+      () =>
+        XmlExact.toXml(
+          { order: { $id: 'X', discount: 1.5 } },
+          'order',
+          definition,
+          { validation: 'all' }
+        ),
+      /Found 2 validation errors/
+    )
+  })
+
+  it('generates samples', () => {
+    assert.deepEqual(XmlExact.generateSample('order', definition), {
+      order: {
+        total: { value: 0, currency: 'EUR' },
+        tax: { value: 0, currency: 'EUR' },
+        discount: 0
+      }
+    })
+  })
+
+  it('rejects converters that are not functions', () => {
+    assert.throws(
+      () => XmlExact.registerType('broken', { parse: 'text' }),
+      "Expected parse of type 'broken' to be a function"
+    )
+  })
+
+  it('rejects registered types and itself as base', () => {
+    assert.throws(
+      () => XmlExact.registerType('loop', { base: 'loop' }),
+      "Expected base of type 'loop' to be an XSD type found 'loop'"
+    )
+    assert.throws(
+      () => XmlExact.registerType('string'),
+      "Expected base of type 'string' to be an XSD type found 'string'"
+    )
+    assert.throws(
+      () => XmlExact.registerType('money', { base: 'amount' }),
+      "Expected base of type 'money' to be an XSD type found 'amount'"
+    )
+  })
+
+  it('converts the base type with the fromXml options', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(
+        '<item><id>9007199254740993</id><price>0.10</price></item>',
+        {
+          item: { id$type: 'bigId', price$type: 'exactPrice' },
+          item$order: ['id', 'price']
+        },
+        { bigInt: true, decimal: 'string', validation: true }
+      ),
+      { item: { id: BigInt('9007199254740993'), price: '0.10' } }
+    )
+  })
+})
+
+describe('Built-in types', function() {
+  const definition = {
+    item$attributes: { tokens$type: 'NMTOKENS' },
+    item: {
+      id$type: 'ID',
+      refs$type: 'IDREFS',
+      name$type: 'QName',
+      count$type: 'positiveInteger',
+      size$type: ['int|date', 0, 2],
+      code$type: 'token',
+      text$type: 'normalizedString'
+    },
+    item$order: ['id', 'refs', 'name', 'count', 'size', 'code', 'text']
+  }
+
+  const xml = [
+    '<item tokens="a b c">',
+    '  <id>a1</id>',
+    '  <refs>a1 b2</refs>',
+    '  <name>ns:item</name>',
+    '  <count>3</count>',
+    '  <size>5</size>',
+    '  <size>2019-01-02</size>',
+    '  <code>A B</code>',
+    '  <text> A  B </text>',
+    '</item>'
+  ].join('\n')
+
+  const obj = {
+    item: {
+      $tokens: ['a', 'b', 'c'],
+      id: 'a1',
+      refs: ['a1', 'b2'],
+      name: 'ns:item',
+      count: 3,
+      size: [5, new Date('2019-01-02T00:00:00Z')],
+      code: 'A B',
+      text: ' A  B '
+    }
+  }
+
+  it('to', () => {
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'item', definition, { validation: true }),
+      xml
+    )
+  })
+
+  it('from', () => {
+    let result = XmlExact.fromXml(
+      xml
+        .replace('a1 b2', ' a1\n  b2 ')
+        .replace('<code>A B', '<code>  A \t B ')
+        .replace(' A  B ', '\tA  B\n'),
+      definition,
+      { validation: true }
+    )
+    delete result.item$order
+    assert.deepEqual(result, obj)
+  })
+
+  it('validates names, lists and unions', () => {
+    for (let [from, to, message] of [
+      ['<id>a1', '<id>1a', "item.id to be of type ID found '1a'"],
+      ['a1 b2', 'a1 2b', "item.refs to be of type IDREFS found 'a1 2b'"],
+      ['ns:item', 'ns:', "item.name to be of type QName found 'ns:'"],
+      ['<count>3', '<count>0', 'item.count to be of type positiveInteger'],
+      ['<size>5', '<size>five', 'item.size[0] to be of type int|date']
+    ]) {
+      assert.throws(
+        () =>
+          XmlExact.fromXml(xml.replace(from, to), definition, {
+            validation: true
+          }),
+        message
+      )
+    }
+  })
+
+  it('converts booleans written as 1 and 0', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(
+        '<flags><flag>1</flag><flag> 0 </flag><flag>true</flag></flags>',
+        { flags: { flag$type: ['boolean'] } },
+        { validation: true }
+      ),
+      { flags: { flag: [true, false, true] } }
+    )
+  })
+
+  it('writes special float values', () => {
+    const floatDefinition = { values: { value$type: ['double'] } }
+    const floatXml = [
+      '<values>',
+      '  <value>INF</value>',
+      '  <value>-INF</value>',
+      '  <value>NaN</value>',
+      '</values>'
+    ].join('\n')
+    const floatObj = { values: { value: [Infinity, -Infinity, NaN] } }
+    assert.strictEqual(
+      XmlExact.toXml(floatObj, 'values', floatDefinition, { validation: true }),
+      floatXml
+    )
+    assert.deepEqual(
+      XmlExact.fromXml(floatXml, floatDefinition, { validation: true }),
+      floatObj
+    )
+  })
+
+  it('generates samples', () => {
+    let sample = XmlExact.generateSample('item', definition)
+    assert.deepEqual(sample.item.refs, ['a'])
+    assert.deepEqual(sample.item.size, [0, 0])
+    XmlExact.toXml(sample, 'item', definition, { validation: true })
+  })
+})
+
+describe('Whitespace', function() {
+  const definition = {
+    order: {
+      note$type: 'string',
+      code$whiteSpace: 'collapse',
+      flag$type: 'boolean',
+      price$type: 'decimal'
+    }
+  }
+
+  const xml = [
+    '<order>',
+    '  <note id="1">',
+    '    Deliver  to',
+    '    the back door',
+    '  </note>',
+    '  <code>  A   B </code>',
+    '  <flag> true </flag>',
+    '  <text xml:space="preserve">  keep  </text>',
+    '  <price currency=" DKK ">',
+    '    10.5',
+    '  </price>',
+    '</order>'
+  ].join('\n')
+
+  it('preserves string values by default', () => {
+    assert.deepEqual(XmlExact.fromXml(xml, definition).order, {
+      note: { $id: '1', $: '\n    Deliver  to\n    the back door\n  ' },
+      code: 'A B',
+      flag: true,
+      text: { '$xml:space': 'preserve', $: '  keep  ' },
+      price: { $currency: ' DKK ', $: 10.5 }
+    })
+  })
+
+  it('collapses with the whiteSpace option', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(xml, definition, { whiteSpace: 'collapse' }).order,
+      {
+        note: { $id: '1', $: 'Deliver to the back door' },
+        code: 'A B',
+        flag: true,
+        text: { '$xml:space': 'preserve', $: '  keep  ' },
+        price: { $currency: 'DKK', $: 10.5 }
+      }
+    )
+  })
+
+  it('replaces with the whiteSpace option', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(xml, definition, { whiteSpace: 'replace' }).order.note,
+      { $id: '1', $: '     Deliver  to     the back door   ' }
+    )
+  })
+
+  it('uses $whiteSpace of the element inside xml:space preserve', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(
+        '<order xml:space="preserve"><note>  a  b </note><code> c </code></order>',
+        { order: { note$whiteSpace: 'collapse' } },
+        { whiteSpace: 'collapse' }
+      ).order,
+      { '$xml:space': 'preserve', note: 'a b', code: ' c ' }
+    )
+  })
+
+  it('uses $whiteSpace of the element before the option', () => {
+    assert.deepEqual(
+      XmlExact.fromXml(
+        '<order><note>  a  </note></order>',
+        { order: { note$whiteSpace: 'preserve' } },
+        { whiteSpace: 'collapse' }
+      ),
+      { order: { note: '  a  ' } }
+    )
+  })
+})
+
 describe('Escaping', function() {
   const obj = {
     complexAll: {
@@ -490,6 +1001,17 @@ describe('Test soap envelope', function() {
     '</soapenv:Envelope>'
   ].join('\n')
 
+  const expectedSoapDefaultNsXml = [
+    '<Envelope xmlns="http://www.w3.org/2003/05/soap-envelope/" xmlns:soapenv="http://www.w3.org/2003/05/soap-envelope/" soapenv:encodingStyle="http://www.w3.org/2003/05/soap-encoding">',
+    '  <Header />',
+    '  <Body>',
+    '    <complexAll xmlns="">',
+    '      <boolean1>true</boolean1>',
+    '    </complexAll>',
+    '  </Body>',
+    '</Envelope>'
+  ].join('\n')
+
   it('to', () => {
     const generatedSoapXml = XmlExact.toXml(
       expectedSoapObj,
@@ -511,6 +1033,93 @@ describe('Test soap envelope', function() {
     )
     assert.deepEqual(generatedSoapObj, expectedSoapObj)
   })
+
+  it('fromDefaultNamespace', () => {
+    const generatedSoapObj = XmlExact.fromXml(
+      expectedSoapDefaultNsXml,
+      soapDefinition
+    )
+    assert.deepEqual(generatedSoapObj, expectedSoapObj)
+  })
+})
+
+describe('Namespace resolution', () => {
+  const definition = {
+    root$attributes: {
+      'xmlns:a': 'http://example.com/a',
+      'xmlns:b': 'http://example.com/b'
+    },
+    root$order: ['a:value', 'b:value'],
+    root: {
+      'a:value$type': 'int',
+      'b:value$type': 'string',
+      item$type: ['int']
+    }
+  }
+
+  const expectedObj = {
+    root: {
+      'a:value': 1,
+      'b:value': 'text',
+      item: [1, 2]
+    }
+  }
+
+  const expectedXml = [
+    '<root xmlns:a="http://example.com/a" xmlns:b="http://example.com/b">',
+    '  <a:value>1</a:value>',
+    '  <b:value>text</b:value>',
+    '  <item>1</item>',
+    '  <item>2</item>',
+    '</root>'
+  ].join('\n')
+
+  it('to', () => {
+    assert.strictEqual(
+      XmlExact.toXml(expectedObj, 'root', definition),
+      expectedXml
+    )
+  })
+
+  it('from', () => {
+    assert.deepEqual(XmlExact.fromXml(expectedXml, definition), expectedObj)
+  })
+
+  it('matches elements by namespace url instead of prefix', () => {
+    const xml = [
+      '<root xmlns:x="http://example.com/b" xmlns:y="http://example.com/a">',
+      '  <y:value>1</y:value>',
+      '  <x:value>text</x:value>',
+      '  <item>1</item>',
+      '  <item>2</item>',
+      '</root>'
+    ].join('\n')
+    assert.deepEqual(XmlExact.fromXml(xml, definition), expectedObj)
+  })
+
+  it('matches elements in a default namespace', () => {
+    const xml = [
+      '<root xmlns:b="http://example.com/b">',
+      '  <value xmlns="http://example.com/a">1</value>',
+      '  <b:value>text</b:value>',
+      '  <item>1</item>',
+      '  <item>2</item>',
+      '</root>'
+    ].join('\n')
+    assert.deepEqual(XmlExact.fromXml(xml, definition), expectedObj)
+  })
+
+  it('only uses namespace declarations in scope', () => {
+    const xml = [
+      '<root>',
+      '  <y:value xmlns:y="http://example.com/a">1</y:value>',
+      '  <y:value xmlns:y="http://example.com/b">text</y:value>',
+      '  <item>1</item>',
+      '  <item>2</item>',
+      '</root>'
+    ].join('\n')
+    assert.deepEqual(XmlExact.fromXml(xml, definition), expectedObj)
+  })
 })
 
 describe('XMLBlob', () => {
@@ -632,3 +1241,445 @@ describe('XMLUtils#toXML/fromXML object interface', function() {
     assert.strictEqual(generatedXml, expectedXml)
   })
 })
+
+describe('Mixed content', () => {
+  const definition = {
+    Envelope: {
+      Body: {
+        description$mixed: true
+      }
+    }
+  }
+
+  const xml = [
+    '<Envelope>',
+    '  <Body>',
+    '    <description lang="en">Hello <b>big</b> <a href="http://example.com">world <i>again</i></a>!<br /> Bye</description>',
+    '    <description>Only text</description>',
+    '  </Body>',
+    '</Envelope>'
+  ].join('\n')
+
+  const obj = {
+    Envelope: {
+      Body: {
+        description: [
+          {
+            $lang: 'en',
+            content$: [
+              'Hello ',
+              { b: 'big' },
+              ' ',
+              {
+                a: {
+                  $href: 'http://example.com',
+                  content$: ['world ', { i: 'again' }]
+                }
+              },
+              '!',
+              { br: '' },
+              ' Bye'
+            ]
+          },
+          'Only text'
+        ]
+      }
+    }
+  }
+
+  it('from', () => {
+    const generatedObj = XmlExact.fromXml(xml, definition)
+    assert.deepEqual(generatedObj, obj)
+  })
+
+  it('to', () => {
+    const generatedXml = XmlExact.toXml(obj, 'Envelope', definition)
+    assert.strictEqual(generatedXml, xml)
+  })
+
+  it('keeps whitespace and escaped text', () => {
+    const mixedXml = '<p>\n  a &lt; b <em>and</em>\n  c &amp; d\n</p>'
+    const generatedObj = XmlExact.fromXml(mixedXml, { p$mixed: true })
+    assert.deepEqual(generatedObj.p.content$, [
+      '\n  a < b ',
+      { em: 'and' },
+      '\n  c & d\n'
+    ])
+    assert.strictEqual(XmlExact.toXml(generatedObj, 'p'), mixedXml)
+  })
+})
+
+describe('CDATA', () => {
+  const definition = {
+    root: {
+      payload$cdata: true,
+      attributed$cdata: true
+    }
+  }
+
+  const obj = {
+    root: {
+      payload: '<xml>a & b ]]> c</xml>',
+      attributed: {
+        $id: '1',
+        $: '<data/>'
+      },
+      plain: '<escaped/>'
+    }
+  }
+
+  const xml = [
+    '<root>',
+    '  <payload><![CDATA[<xml>a & b ]]]]><![CDATA[> c</xml>]]></payload>',
+    '  <attributed id="1"><![CDATA[<data/>]]></attributed>',
+    '  <plain>&lt;escaped/&gt;</plain>',
+    '</root>'
+  ].join('\n')
+
+  it('to', () => {
+    const generatedXml = XmlExact.toXml(obj, 'root', definition)
+    assert.strictEqual(generatedXml, xml)
+  })
+
+  it('from', () => {
+    const generatedObj = XmlExact.fromXml(xml, definition)
+    assert.deepEqual(generatedObj.root, obj.root)
+  })
+
+  it('records CDATA sections and reproduces them', () => {
+    const generatedObj = XmlExact.fromXml(xml, {}, { cdata: true })
+    assert.deepEqual(generatedObj.root, {
+      payload: { $: '<xml>a & b ]]> c</xml>', cdata$: true },
+      attributed: { $id: '1', $: '<data/>', cdata$: true },
+      plain: '<escaped/>'
+    })
+    assert.strictEqual(XmlExact.toXml(generatedObj, 'root'), xml)
+  })
+})
+
+describe('Default namespace', () => {
+  const definition = {
+    Envelope$namespace: 'soap',
+    Envelope$attributes: {
+      'xmlns:soap': 'http://www.w3.org/2003/05/soap-envelope/'
+    },
+    Envelope: {
+      Body$namespace: 'soap',
+      Body: {
+        order$xmlns: 'http://example.com/orders',
+        order$order: ['id', 'lines', 'note'],
+        order: {
+          id$type: 'int',
+          lines: {
+            line$type: ['int']
+          },
+          note$xmlns: ''
+        }
+      }
+    }
+  }
+
+  const expectedObj = {
+    Envelope: {
+      Body: {
+        order: { id: 1, lines: { line: [1, 2] }, note: 'first' }
+      }
+    }
+  }
+
+  const expectedXml = [
+    '<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope/">',
+    '  <soap:Body>',
+    '    <order xmlns="http://example.com/orders">',
+    '      <id>1</id>',
+    '      <lines>',
+    '        <line>1</line>',
+    '        <line>2</line>',
+    '      </lines>',
+    '      <note xmlns="">first</note>',
+    '    </order>',
+    '  </soap:Body>',
+    '</soap:Envelope>'
+  ].join('\n')
+
+  it('to', () => {
+    assert.strictEqual(
+      XmlExact.toXml(expectedObj, 'Envelope', definition),
+      expectedXml
+    )
+  })
+
+  it('from', () => {
+    assert.deepEqual(XmlExact.fromXml(expectedXml, definition), expectedObj)
+  })
+
+  it('drops redundant declarations', () => {
+    const obj = {
+      Envelope: {
+        $xmlns: '',
+        Body: {
+          order: {
+            $xmlns: 'http://example.com/orders',
+            id: 1,
+            lines: { $xmlns: 'http://example.com/orders', line: [1, 2] },
+            note: 'first'
+          }
+        }
+      }
+    }
+    assert.strictEqual(XmlExact.toXml(obj, 'Envelope', definition), expectedXml)
+  })
+
+  it('recognizes prefixed elements in the default namespace', () => {
+    const xml = [
+      '<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope/">',
+      '  <soap:Body>',
+      '    <o:order xmlns:o="http://example.com/orders">',
+      '      <o:id>1</o:id>',
+      '      <o:lines>',
+      '        <o:line>1</o:line>',
+      '        <o:line>2</o:line>',
+      '      </o:lines>',
+      '      <note>first</note>',
+      '    </o:order>',
+      '  </soap:Body>',
+      '</soap:Envelope>'
+    ].join('\n')
+    assert.deepEqual(XmlExact.fromXml(xml, definition), expectedObj)
+  })
+})
+
+describe('Namespace declarations', () => {
+  const namespaces = {
+    soap: 'http://www.w3.org/2003/05/soap-envelope/',
+    o: 'http://example.com/orders',
+    n: 'http://example.com/notes',
+    unused: 'http://example.com/unused'
+  }
+
+  const definition = {
+    Envelope$namespace: 'soap',
+    Envelope: {
+      Header$namespace: 'soap',
+      Body$namespace: 'soap',
+      Body: {
+        orders: {
+          order$namespace: 'o',
+          order$type: [],
+          order$order: ['id', 'note'],
+          order: {
+            id$namespace: 'o',
+            id$type: 'int',
+            note$namespace: 'n'
+          }
+        }
+      }
+    }
+  }
+
+  const obj = {
+    Envelope: {
+      Body: {
+        orders: {
+          order: [{ id: 1 }, { id: 2, note: 'first' }]
+        }
+      }
+    }
+  }
+
+  it('declares used namespaces at the nearest common ancestor', () => {
+    const expectedXml = [
+      '<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope/">',
+      '  <soap:Body>',
+      '    <orders xmlns:o="http://example.com/orders">',
+      '      <o:order>',
+      '        <o:id>1</o:id>',
+      '      </o:order>',
+      '      <o:order>',
+      '        <o:id>2</o:id>',
+      '        <n:note xmlns:n="http://example.com/notes">first</n:note>',
+      '      </o:order>',
+      '    </orders>',
+      '  </soap:Body>',
+      '</soap:Envelope>'
+    ].join('\n')
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'Envelope', definition, { namespaces }),
+      expectedXml
+    )
+  })
+
+  it('declares used namespaces at the root', () => {
+    const expectedXml = [
+      '<soap:Envelope xmlns:n="http://example.com/notes" xmlns:o="http://example.com/orders" xmlns:soap="http://www.w3.org/2003/05/soap-envelope/">',
+      '  <soap:Body>',
+      '    <orders>',
+      '      <o:order>',
+      '        <o:id>1</o:id>',
+      '      </o:order>',
+      '      <o:order>',
+      '        <o:id>2</o:id>',
+      '        <n:note>first</n:note>',
+      '      </o:order>',
+      '    </orders>',
+      '  </soap:Body>',
+      '</soap:Envelope>'
+    ].join('\n')
+    assert.strictEqual(
+      XmlExact.toXml(obj, 'Envelope', definition, {
+        namespaces,
+        namespaceDeclarations: 'root'
+      }),
+      expectedXml
+    )
+  })
+
+  it('drops declarations already in scope', () => {
+    const composedDefinition = {
+      Envelope$namespace: 'soap',
+      Envelope$attributes: { 'xmlns:soap': namespaces.soap },
+      Envelope: {
+        Body$namespace: 'soap',
+        Body$attributes: { 'xmlns:soap': namespaces.soap },
+        Body: {
+          order$namespace: 'o',
+          order$attributes: { 'xmlns:o': namespaces.o },
+          order: {
+            id$namespace: 'o',
+            id$attributes: { 'xmlns:o': namespaces.o }
+          }
+        }
+      }
+    }
+    const expectedXml = [
+      '<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope/">',
+      '  <soap:Body>',
+      '    <o:order xmlns:o="http://example.com/orders">',
+      '      <o:id>1</o:id>',
+      '    </o:order>',
+      '  </soap:Body>',
+      '</soap:Envelope>'
+    ].join('\n')
+    assert.strictEqual(
+      XmlExact.toXml(
+        { Envelope: { Body: { order: { id: 1 } } } },
+        'Envelope',
+        composedDefinition
+      ),
+      expectedXml
+    )
+  })
+
+  it('parses the generated XML', () => {
+    const xml = XmlExact.toXml(obj, 'Envelope', definition, { namespaces })
+    const definitionWithNamespaces = {
+      ...definition,
+      Envelope$attributes: {
+        'xmlns:soap': namespaces.soap,
+        'xmlns:o': namespaces.o,
+        'xmlns:n': namespaces.n
+      }
+    }
+    assert.deepEqual(XmlExact.fromXml(xml, definitionWithNamespaces), obj)
+  })
+})
+
+describe('Attributes', () => {
+  const definition = {
+    item$attributes: {
+      'xmlns:a': 'http://example.com/a',
+      'a:count$type': 'int',
+      'a:count$default': '1',
+      enabled$type: 'boolean'
+    }
+  }
+
+  it('converts prefixed attributes by their definition name', () => {
+    const obj = XmlExact.fromXml(
+      '<item xmlns:x="http://example.com/a" x:count="5" enabled="true">text</item>',
+      definition
+    )
+    assert.deepEqual(obj, {
+      item: { '$x:count': 5, $enabled: true, $: 'text' }
+    })
+  })
+
+  it('adds default values of missing attributes', () => {
+    const obj = XmlExact.fromXml(
+      '<item xmlns:a="http://example.com/a">text</item>',
+      definition
+    )
+    assert.deepEqual(obj, { item: { '$a:count': 1, $: 'text' } })
+  })
+
+  it('keeps the text values when convertTypes is false', () => {
+    const obj = XmlExact.fromXml(
+      '<item xmlns:a="http://example.com/a" a:count="5" enabled="true" />',
+      definition,
+      { convertTypes: false }
+    )
+    assert.deepEqual(obj, { item: { '$a:count': '5', $enabled: 'true' } })
+  })
+})
+
+describe('Recursive types', () => {
+  const definition = {
+    $types: {
+      Node: {
+        $order: ['name', 'node'],
+        $attributes: { id$type: 'int' },
+        name$type: 'string',
+        node$type: ['', 0, Number.MAX_VALUE],
+        node$ref: 'Node'
+      }
+    },
+    tree$ref: 'Node'
+  }
+
+  const xml = [
+    '<tree id="1">',
+    '  <name>root</name>',
+    '  <node id="2">',
+    '    <name>a</name>',
+    '    <node id="3">',
+    '      <name>b</name>',
+    '    </node>',
+    '  </node>',
+    '  <node id="4">',
+    '    <name>c</name>',
+    '  </node>',
+    '</tree>'
+  ].join('\n')
+
+  const obj = {
+    tree: {
+      $id: 1,
+      name: 'root',
+      node: [
+        { $id: 2, name: 'a', node: [{ $id: 3, name: 'b' }] },
+        { $id: 4, name: 'c' }
+      ]
+    }
+  }
+
+  it('to', () => {
+    assert.strictEqual(XmlExact.toXml(obj, 'tree', definition), xml)
+  })
+
+  it('from', () => {
+    assert.deepEqual(XmlExact.fromXml(xml, definition), obj)
+  })
+
+  it('generates samples of recursive types', () => {
+    assert.deepEqual(XmlExact.generateSample('tree', definition), {
+      tree: { name: ' ' }
+    })
+  })
+
+  it('fails on unknown types', () => {
+    assert.throws(
+      () => XmlExact.toXml({ tree: {} }, 'tree', { tree$ref: 'Leaf' }),
+      "Could not find type 'Leaf' referenced by tree"
+    )
+  })
+})